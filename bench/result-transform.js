@@ -0,0 +1,173 @@
+/**
+ * Benchmarks the runtime patch on a large `findMany` with a few levels of nesting, against a mocked client
+ * returning prebuilt rows, so only the include and result rewrite are measured.
+ *
+ *   node bench/result-transform.js [rows] [path/to/other/runtime-relation-patch.js]
+ *
+ * The result walk the runtime used before results were rewritten along a plan is timed as a baseline.
+ * Pass the runtime of another checkout to compare it as well.
+ */
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { performance } from 'perf_hooks';
+import { getSingularForm, resolveVirtualRelations } from '../src/relation-rules.js';
+
+const ROWS = Number(process.argv[2]) || 5000;
+const ITERATIONS = 20;
+
+/**
+ * Shop datamodel: products with their brand, translations and features, each with their own translations.
+ */
+const datamodel = {
+    models: [
+        model('Lang', [scalar('id', true), list('productLangs', 'ProductLang'), list('brandLangs', 'BrandLang')]),
+        model('Brand', [scalar('id', true), scalar('name'), list('brandLangs', 'BrandLang'), list('products', 'Product')]),
+        model('BrandLang', [scalar('brandId'), scalar('langId'), scalar('metaTitle'), one('brand', 'Brand', 'brandId'), one('lang', 'Lang', 'langId')], ['brandId', 'langId']),
+        model('Product', [scalar('id', true), scalar('brandId'), scalar('reference'), scalar('price'), one('brand', 'Brand', 'brandId'), list('productLangs', 'ProductLang'), list('productFeatures', 'ProductFeature')]),
+        model('ProductLang', [scalar('productId'), scalar('langId'), scalar('name'), scalar('description'), one('product', 'Product', 'productId'), one('lang', 'Lang', 'langId')], ['productId', 'langId']),
+        model('Feature', [scalar('id', true), list('featureLangs', 'FeatureLang'), list('productFeatures', 'ProductFeature')]),
+        model('FeatureLang', [scalar('featureId'), scalar('langId'), scalar('name'), one('feature', 'Feature', 'featureId'), one('lang', 'Lang', 'langId')], ['featureId', 'langId']),
+        model('ProductFeature', [scalar('productId'), scalar('featureId'), scalar('value'), one('product', 'Product', 'productId'), one('feature', 'Feature', 'featureId')], ['productId', 'featureId'])
+    ]
+};
+
+function model(name, fields, unique) {
+    return { name, fields, uniqueFields: unique ? [unique] : [], uniqueIndexes: unique ? [{ name: null, fields: unique }] : [], primaryKey: null };
+}
+
+function scalar(name, isId = false) {
+    return { name, kind: 'scalar', type: 'Int', isId, isList: false };
+}
+
+function list(name, type) {
+    return { name, kind: 'object', type, isList: true, relationName: `${name}Relation` };
+}
+
+function one(name, type, foreignKey) {
+    return { name, kind: 'object', type, isList: false, relationFromFields: [foreignKey], relationToFields: ['id'] };
+}
+
+const include = {
+    brand: { include: { brandLang: true } },
+    productLang: true,
+    productFeatures: { include: { feature: { include: { featureLang: true } } } }
+};
+
+// Rows as Prisma returns them for the rewritten include, with the plural relations fetched with `take: 1`
+const rows = Array.from({ length: ROWS }, (_, id) => ({
+    id,
+    brandId: id % 50,
+    reference: `REF-${id}`,
+    price: id * 3,
+    brand: { id: id % 50, name: `Brand ${id % 50}`, brandLangs: [{ brandId: id % 50, langId: 1, metaTitle: 'Brand' }] },
+    productLangs: [{ productId: id, langId: 1, name: `Product ${id}`, description: 'Description' }],
+    productFeatures: Array.from({ length: 5 }, (__, featureId) => ({
+        productId: id,
+        featureId,
+        value: featureId * 2,
+        feature: { id: featureId, featureLangs: [{ featureId, langId: 1, name: `Feature ${featureId}` }] }
+    }))
+}));
+
+/**
+ * Times a findMany handler.
+ * @param {(args: object) => Promise<any>} findMany - Handler of the findMany
+ * @returns {Promise<number>} Mean duration of a findMany, in milliseconds
+ */
+async function measure(findMany) {
+    // Warm up, then measure
+    for (let i = 0; i < 3; i++) await findMany({ include });
+
+    const start = performance.now();
+    for (let i = 0; i < ITERATIONS; i++) await findMany({ include });
+    return (performance.now() - start) / ITERATIONS;
+}
+
+/**
+ * Runs the benchmark on a runtime patch module.
+ * @param {string} modulePath - Path of runtime-relation-patch.js
+ * @returns {Promise<number>} Mean duration of a findMany, in milliseconds
+ */
+async function bench(modulePath) {
+    const { default: applyRuntimeRelationPatch } = await import(pathToFileURL(path.resolve(modulePath)).href);
+    const client = applyRuntimeRelationPatch(['Lang'], { Prisma: {} }, { datamodel })({
+        $extends(extension) {
+            const handle = extension.query.$allModels.$allOperations;
+            return { findMany: args => handle({ model: 'Product', operation: 'findMany', args, query: async () => rows }) };
+        }
+    });
+
+    return measure(client.findMany);
+}
+
+/**
+ * Runs the benchmark on the result walk of the runtime before the plan-based rewrite: every object of the result
+ * is copied and its fields' models looked up by scanning the datamodel. Only the result is rewritten, the include
+ * being the one the runtime would send.
+ * @returns {Promise<number>} Mean duration of a findMany, in milliseconds
+ */
+async function benchBaseline() {
+    const { virtualRelationsMap } = resolveVirtualRelations(['Lang'], datamodel);
+    // Singular relations the include requests, by model
+    const requestedSingularFields = {
+        Product: [{ singularKey: 'productLang' }],
+        Brand: [{ singularKey: 'brandLang' }],
+        Feature: [{ singularKey: 'featureLang' }]
+    };
+
+    const findModel = modelName => datamodel.models.find(m => m.name === modelName);
+    const resolveRelatedModelName = (modelName, key) => {
+        const targetField = findModel(modelName)?.fields.find(f => f.name === key);
+        if (targetField && targetField.type) return targetField.type;
+
+        const singularKey = getSingularForm(key);
+        const capitalizedKey = key.charAt(0).toUpperCase() + key.slice(1);
+        const capitalizedSingular = singularKey.charAt(0).toUpperCase() + singularKey.slice(1);
+        return Object.keys(virtualRelationsMap).find(model =>
+            model.toLowerCase() === key.toLowerCase() || model.toLowerCase() === singularKey.toLowerCase()
+        ) || Object.keys(virtualRelationsMap).find(model => model === capitalizedKey || model === capitalizedSingular) || '';
+    };
+
+    const transformEntity = (entity, modelName, path = '') => {
+        if (!entity || typeof entity !== 'object') return entity;
+
+        const transformed = Array.isArray(entity)
+            ? entity.map((item, idx) => transformEntity(item, modelName, `${path}[${idx}]`))
+            : { ...entity };
+
+        if (!Array.isArray(transformed)) {
+            for (const { singularKey } of requestedSingularFields[modelName] || []) {
+                const relation = virtualRelationsMap[modelName]?.find(r => r.singularKey === singularKey);
+                if (!relation) continue;
+
+                const { pluralKey } = relation;
+                if (pluralKey in transformed && Array.isArray(transformed[pluralKey])) {
+                    transformed[singularKey] = transformed[pluralKey].length > 0 ? transformed[pluralKey][0] : null;
+                    delete transformed[pluralKey];
+                } else {
+                    transformed[singularKey] = null;
+                }
+            }
+
+            for (const [key, value] of Object.entries(transformed)) {
+                if (value && typeof value === 'object') {
+                    const relatedModelName = resolveRelatedModelName(modelName, key);
+                    if (relatedModelName) {
+                        transformed[key] = transformEntity(value, relatedModelName, path ? `${path}.${key}` : key);
+                    }
+                }
+            }
+        }
+
+        return transformed;
+    };
+
+    return measure(async () => rows.map((item, idx) => transformEntity(item, 'Product', `[${idx}]`)));
+}
+
+const modules = [new URL('../src/runtime-relation-patch.js', import.meta.url).pathname, ...process.argv.slice(3)];
+console.log(`findMany of ${ROWS} products, 3 levels of nesting, ${ITERATIONS} iterations`);
+console.log(`  baseline (result walk before the plan): ${(await benchBaseline()).toFixed(2)} ms`);
+for (const modulePath of modules) {
+    console.log(`  ${path.relative(process.cwd(), modulePath)}: ${(await bench(modulePath)).toFixed(2)} ms`);
+}
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**@import { PatchOptions, PlannedFile } from './index.js'; */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import patchPrismaClient, { planPrismaClient, restorePrismaClient, lintPrismaSchema } from './index.js';
+import { startGenerator } from './generator.js';
+import { createUnifiedDiff } from './unified-diff.js';
+
+/**
+ * Config files looked up in the working directory, before the `one2one` key of package.json.
+ */
+const CONFIG_FILES = ['one2one.config.js', 'one2one.config.mjs'];
+
+const USAGE = `Usage: prisma-one2one <command> [--config <file>]
+
+Commands:
+  generate  Patch every configured client
+  check     Exit with code 1 when a client is not patched or is stale
+  diff      Print the changes generate would make, without writing them
+  restore   Restore the generated files backed up before patching
+  lint      List the fields a where must set for each virtual relation, exit with code 1
+            when a relation has no unique constraint making it one-to-one
+
+Config is read from one2one.config.js, or the "one2one" key of package.json:
+  { "relationModels": ["Lang"], "schema": "prisma/schema.prisma", "client": "generated/prisma" }
+Several clients: { "relationModels": ["Lang"], "clients": [{ "schema": "...", "client": "..." }] }
+`;
+
+/**
+ * @typedef {object} ClientTarget
+ * @property {string[]} relationModels - Relation models of the client
+ * @property {string} schema - Absolute path of the schema file or directory
+ * @property {string} client - Absolute path of the generated client directory
+ * @property {PatchOptions} options - Patch options of the client
+ */
+
+/**
+ * Loads the CLI config, from the given file, a `one2one.config.js` or the `one2one` key of package.json.
+ * @param {string} cwd - Directory to look up the config in
+ * @param {string} [configPath] - Config file given with `--config`
+ * @returns {Promise<{ config: any; baseDir: string }>} The config, and the directory its paths are relative to
+ */
+async function loadConfig(cwd, configPath) {
+    const configFile = configPath
+        ? path.resolve(cwd, configPath)
+        : CONFIG_FILES.map(name => path.resolve(cwd, name)).find(file => fs.existsSync(file));
+
+    if (configFile) {
+        if (!fs.existsSync(configFile)) {
+            throw new Error(`Config file not found: ${configFile}`);
+        }
+        if (configFile.endsWith('.json')) {
+            return { config: JSON.parse(fs.readFileSync(configFile, 'utf8')), baseDir: path.dirname(configFile) };
+        }
+        const { default: config } = await import(pathToFileURL(configFile).href);
+        return { config: await (typeof config === 'function' ? config() : config), baseDir: path.dirname(configFile) };
+    }
+
+    const packageJsonPath = path.resolve(cwd, 'package.json');
+    const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {};
+    if (!packageJson.one2one) {
+        throw new Error(`No config found: add ${CONFIG_FILES[0]} or a "one2one" key to package.json`);
+    }
+
+    return { config: packageJson.one2one, baseDir: cwd };
+}
+
+/**
+ * Lists the schema/client pairs of a config. Each entry of `clients` inherits the top-level options.
+ * @param {any} config - Loaded config
+ * @param {string} baseDir - Directory the config paths are relative to
+ * @returns {ClientTarget[]} The clients to process
+ */
+function resolveTargets(config, baseDir) {
+    const { clients, ...defaults } = config;
+    const entries = clients || [defaults];
+
+    return entries.map((entry, index) => {
+        const { relationModels, schema, client, ...options } = { ...defaults, ...entry };
+        const name = clients ? `clients[${index}]` : 'config';
+
+        if (!Array.isArray(relationModels) || relationModels.length === 0) {
+            throw new Error(`${name}: "relationModels" is required`);
+        }
+        if (!schema || !client) {
+            throw new Error(`${name}: "schema" and "client" are required`);
+        }
+
+        return {
+            relationModels,
+            schema: path.resolve(baseDir, schema),
+            client: path.resolve(baseDir, client),
+            options
+        };
+    });
+}
+
+/**
+ * Lists the files of a client that processing it would change.
+ * @param {ClientTarget} target - Client to plan
+ * @returns {PlannedFile[]} The changed files
+ */
+function planChanges(target) {
+    return planPrismaClient(target.relationModels, target.schema, target.client, target.options, () => {})
+        .filter(file => file.content !== file.original);
+}
+
+/**
+ * CLI commands, run on every configured client.
+ * @type {Record<string, (targets: ClientTarget[], cwd: string) => void>}
+ */
+const COMMANDS = {
+    generate(targets) {
+        for (const target of targets) {
+            patchPrismaClient(target.relationModels, target.schema, target.client, target.options);
+        }
+    },
+
+    check(targets, cwd) {
+        for (const target of targets) {
+            const changedFiles = planChanges(target);
+            for (const file of changedFiles) {
+                const reason = file.original === null ? 'missing' : file.conflict || 'not patched or stale';
+                console.log(`${path.relative(cwd, file.path)}: ${reason}`);
+            }
+            if (changedFiles.length > 0) {
+                process.exitCode = 1;
+            }
+        }
+
+        if (process.exitCode) {
+            console.log('Run `prisma-one2one generate` to patch the client');
+        } else {
+            console.log('Prisma clients are up to date');
+        }
+    },
+
+    diff(targets, cwd) {
+        for (const target of targets) {
+            for (const file of planChanges(target)) {
+                process.stdout.write(createUnifiedDiff(path.relative(cwd, file.path), file.original, file.content));
+            }
+        }
+    },
+
+    restore(targets, cwd) {
+        for (const target of targets) {
+            const restoredFiles = restorePrismaClient(target.client);
+            for (const file of restoredFiles) {
+                console.log(`${fs.existsSync(file) ? 'Restored' : 'Removed'} ${path.relative(cwd, file)}`);
+            }
+            if (restoredFiles.length === 0) {
+                console.log(`Nothing to restore in ${path.relative(cwd, target.client) || '.'}`);
+            }
+        }
+    },
+
+    lint(targets, cwd) {
+        for (const target of targets) {
+            console.log(`${path.relative(cwd, target.schema)}:`);
+            for (const { model, singularKey, relatedModel, unique, whereFields, warning } of lintPrismaSchema(target.relationModels, target.schema, target.options)) {
+                if (warning) {
+                    console.log(`  Warning: ${warning}`);
+                    process.exitCode = 1;
+                } else {
+                    console.log(`  ${model}.${singularKey} (${relatedModel}): where must set ${whereFields.join(', ')} (unique ${unique.name})`);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - Arguments after the binary name
+ * @param {string} [cwd] - Working directory
+ */
+export async function runCli(argv, cwd = process.cwd()) {
+    const [command, ...args] = argv;
+
+    if (!command || command === '--help' || command === '-h') {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    if (!COMMANDS[command]) {
+        process.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const configIndex = args.indexOf('--config');
+    const configPath = configIndex === -1 ? undefined : args[configIndex + 1];
+    if (configIndex !== -1 && !configPath) {
+        throw new Error('--config requires a file path');
+    }
+
+    const { config, baseDir } = await loadConfig(cwd, configPath);
+    COMMANDS[command](resolveTargets(config, baseDir), cwd);
+}
+
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    // Prisma runs the same binary as the `prisma-one2one` generator provider
+    if (process.env.PRISMA_GENERATOR_INVOCATION === 'true') {
+        startGenerator();
+    } else {
+        runCli(process.argv.slice(2)).catch((err) => {
+            console.error(`prisma-one2one: ${err.message}`);
+            process.exitCode = 1;
+        });
+    }
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**@import { PatchOptions } from './index.js'; */
+import fs from 'fs';
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
+import patchPrismaClient from './index.js';
+
+/**
+ * Providers of the client generators whose output can be patched.
+ */
+const CLIENT_PROVIDERS = ['prisma-client-js', 'prisma-client'];
+
+/**
+ * Manifest returned to Prisma. The client generator isn't listed in `requiresGenerators`,
+ * since either of the client providers will do: `findClientGenerator` checks it instead.
+ * Prisma requires an output path, but files are written to the client generator's output.
+ */
+const MANIFEST = {
+    prettyName: 'prisma-one2one',
+    defaultOutput: '.'
+};
+
+/**
+ * Reads a generator config value that may be a list or a comma separated string.
+ * @param {string | string[] | undefined} value - Config value
+ * @returns {string[]} The values
+ */
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads a generator config value holding JSON, as objects can't be written in a generator block.
+ * @param {Record<string, string | string[]>} config - Generator config
+ * @param {string} key - Config key
+ * @returns {any} The parsed value, or undefined when the key isn't set
+ */
+function parseJsonConfig(config, key) {
+    const value = config[key];
+    if (value === undefined) return undefined;
+
+    try {
+        return JSON.parse(String(value));
+    } catch (err) {
+        throw new Error(`The one2one generator's \`${key}\` must be a JSON string: ${err.message}`);
+    }
+}
+
+/**
+ * Finds the client generator to patch among the other generators of the schema.
+ * @param {any[]} otherGenerators - Other generator configs of the schema
+ * @param {string | undefined} clientGenerator - Name of the client generator block, when there are several
+ * @returns {any} The client generator config
+ */
+function findClientGenerator(otherGenerators, clientGenerator) {
+    const clientGenerators = otherGenerators.filter(generator =>
+        CLIENT_PROVIDERS.includes(generator.provider?.value)
+    );
+
+    if (clientGenerator) {
+        const generator = clientGenerators.find(g => g.name === clientGenerator);
+        if (!generator) {
+            throw new Error(`Client generator "${clientGenerator}" not found in the schema`);
+        }
+        return generator;
+    }
+
+    if (clientGenerators.length === 0) {
+        throw new Error(`prisma-one2one requires a client generator (${CLIENT_PROVIDERS.join(' or ')}) in the schema`);
+    }
+
+    if (clientGenerators.length > 1) {
+        throw new Error(
+            `Several client generators found (${clientGenerators.map(g => g.name).join(', ')}): ` +
+            'pick one with `clientGenerator = "<name>"`'
+        );
+    }
+
+    return clientGenerators[0];
+}
+
+/**
+ * Turns the options Prisma sends with a `generate` request into the arguments of the d.ts patcher.
+ * Supported config keys: `relationModels` (required), `diagnostics`, `mode` (`patch` or `augment`),
+ * `runtimeModule`, `clientGenerator`, and `relations`, `managedFields` and `flatten` as JSON strings.
+ * @param {any} options - Generator options (`generator`, `otherGenerators`, `schemaPath`, `dmmf`)
+ * @returns {{ relationModels: string[]; schemaPath: string; clientDir: string; patchOptions: PatchOptions }}
+ */
+export function readGeneratorOptions(options) {
+    const config = options.generator.config || {};
+    const relationModels = toList(config.relationModels);
+
+    if (relationModels.length === 0) {
+        throw new Error('The one2one generator requires `relationModels = ["Lang", ...]`');
+    }
+
+    const clientGenerator = findClientGenerator(options.otherGenerators || [], config.clientGenerator);
+    // Prisma runs generators in declaration order: patching before the client is generated would be overwritten
+    const declaredGenerators = [...String(options.datamodel || '').matchAll(/^\s*generator\s+(\w+)\s*\{/gm)].map(m => m[1]);
+    if (declaredGenerators.indexOf(options.generator.name) < declaredGenerators.indexOf(clientGenerator.name)) {
+        throw new Error(`Declare the "${options.generator.name}" generator after the "${clientGenerator.name}" generator`);
+    }
+
+    const clientDir = clientGenerator.output?.value;
+    if (!clientDir) {
+        throw new Error(`Unable to read the output path of the "${clientGenerator.name}" generator`);
+    }
+
+    /** @type {PatchOptions} */
+    const patchOptions = {
+        // The DMMF keeps `///` documentation, so `@one2one` annotations apply as when parsing the schema
+        datamodel: options.dmmf?.datamodel
+    };
+    if (config.diagnostics) patchOptions.diagnostics = config.diagnostics;
+    if (config.mode) patchOptions.output = config.mode;
+    if (config.runtimeModule) patchOptions.runtimeModule = config.runtimeModule;
+    for (const key of ['relations', 'managedFields', 'flatten']) {
+        const value = parseJsonConfig(config, key);
+        if (value !== undefined) patchOptions[key] = value;
+    }
+
+    return { relationModels, schemaPath: options.schemaPath, clientDir, patchOptions };
+}
+
+/**
+ * Patches the client generated in the same `prisma generate` run.
+ * @param {any} options - Generator options sent by Prisma
+ */
+export function generate(options) {
+    const { relationModels, schemaPath, clientDir, patchOptions } = readGeneratorOptions(options);
+    patchPrismaClient(relationModels, schemaPath, clientDir, patchOptions);
+}
+
+/**
+ * Writes a JSON-RPC response. Prisma reads responses from the generator's stderr, one per line.
+ * @param {object} message - Response without the `jsonrpc` member
+ */
+function respond(message) {
+    process.stderr.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+}
+
+/**
+ * Serves the Prisma generator protocol: JSON-RPC requests (`getManifest`, `generate`) on stdin.
+ * Errors are returned to Prisma, which then fails the `prisma generate` run.
+ * @param {NodeJS.ReadableStream} [input] - Request stream
+ */
+export function startGenerator(input = process.stdin) {
+    const lines = createInterface({ input });
+
+    lines.on('line', (line) => {
+        if (!line.trim()) return;
+
+        const { id, method, params } = JSON.parse(line);
+        try {
+            if (method === 'getManifest') {
+                respond({ id, result: { manifest: MANIFEST } });
+            } else if (method === 'generate') {
+                generate(params);
+                respond({ id, result: null });
+            } else {
+                respond({ id, error: { code: -32601, message: `Method not found: ${method}` } });
+            }
+        } catch (err) {
+            respond({ id, error: { code: -32000, message: err.message, data: { stack: err.stack } } });
+        }
+    });
+}
+
+// Started directly, e.g. with `provider = "node node_modules/prisma-one2one/src/generator.js"`
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    startGenerator();
+}
@@ -1,15 +1,44 @@
-/**@import { VirtualRelationsMap } from './runtime-relation-patch'; */
+/**@import { VirtualRelationsMap, RelationOverrides, RelationManifest, ManagedFields, FlattenConfig } from './runtime-relation-patch'; */
+/**@import { VirtualRelationLint } from './relation-rules.js'; */
+
+/**
+ * @typedef {object} PatchOptions
+ * @property {RelationOverrides} [relations] - Opt-ins/opt-outs of virtual relations, shared with the runtime patch.
+ * @property {'warn' | 'error'} [diagnostics] - Whether singular key collisions are reported as warnings or fail the patch.
+ * @property {'patch' | 'augment'} [output] - Patch the generated type definitions in place (default), or leave them
+ *   untouched and write the types to a separate `one2one.d.ts` (`one2one.ts` for the `prisma-client` generator).
+ * @property {string | null} [runtimeModule] - Module specifier of the runtime patch whose return type `one2one.d.ts`
+ *   augments (default `prisma-one2one/runtime`), or null to skip the augmentation.
+ * @property {{ models: any[] }} [datamodel] - Datamodel to use instead of parsing the schema, e.g. the DMMF
+ *   a Prisma generator receives.
+ * @property {ManagedFields} [managedFields] - Fields filled by the runtime patch, by model (`'*'` for every model):
+ *   the `onCreate` ones become optional in the Create inputs of the models having them.
+ * @property {FlattenConfig} [flatten] - Virtual relations the runtime patch merges onto their parent by default:
+ *   their fields are added to the result types of the type augmentation, and rejected without `output: 'augment'`.
+ */
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
+import { readPrismaSchema, listSchemaFiles } from './schema-parser.js';
+import {
+    resolveVirtualRelations,
+    describeVirtualRelations,
+    resolveManagedFields,
+    resolveFlattenedRelations,
+    lintVirtualRelations,
+    VirtualRelationDiagnosticsError
+} from './relation-rules.js';
+import { renderTypeAugmentation, detectDelegateOperations } from './type-augmentation.js';
 
 
 /**
  * Main function to process Prisma clients.
  * @param {string[]} RELATION_MODELS - Array of relation models to process.
- * @param {string} prismaFilePath - Path to the primary .prisma schema file (e.g., store.prisma).
+ * @param {string} prismaFilePath - Path to the primary .prisma schema file (e.g., store.prisma) or multi-file schema directory.
  * @param {string} generatedDir - Directory of the primary generated Prisma client.
+ * @param {PatchOptions} [options] - Discovery options, shared with the runtime patch.
  */
-export default (RELATION_MODELS, prismaFilePath, generatedDir) => {
+export default (RELATION_MODELS, prismaFilePath, generatedDir, options = {}) => {
     if (!generatedDir) {
         throw new Error('generatedDir is required');
     }
@@ -19,221 +48,746 @@ export default (RELATION_MODELS, prismaFilePath, generatedDir) => {
     }
 
     // Process the primary client (e.g., store)
-    processPrismaClient(RELATION_MODELS, prismaFilePath, generatedDir);
+    processPrismaClient(RELATION_MODELS, prismaFilePath, generatedDir, options);
 };
 
+/**
+ * @typedef {object} PlannedFile
+ * @property {string} path - Absolute path of the file
+ * @property {string | null} original - Current content, or null when the file doesn't exist yet
+ * @property {string} content - Content once the client is processed
+ * @property {boolean} inPlace - Whether the file belongs to the generated client (and is backed up before writing)
+ * @property {string | null} [conflict] - How the previous patch of the file differs from this one, e.g. another
+ *   relation model list, when it was patched with a different config
+ */
+
+/**
+ * @typedef {object} PatchStamp
+ * @property {string} version - Version of prisma-one2one that patched the file
+ * @property {string[]} relationModels - Relation models the file was patched for
+ * @property {string} schemaHash - Hash of the schema files the file was patched from
+ */
+
+/**
+ * Version of prisma-one2one, recorded in the header of patched files.
+ */
+const TOOL_VERSION = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+
+/**
+ * Comment ending the lines added by the patch. Lines made optional end with `${PATCH_MARKER}: optional`,
+ * and appended declarations are wrapped in `${PATCH_MARKER}: begin` / `${PATCH_MARKER}: end`.
+ */
+const PATCH_MARKER = '// prisma-one2one';
+
+/**
+ * Name of the relation manifest written next to the generated client.
+ */
+const MANIFEST_FILE = 'one2one.json';
+
 /**
  * Processes an individual generated Prisma client directory.
  * @param {string[]} RELATION_MODELS - Array of relation models to process.
- * @param {string} schemaPathForMap - Path to the .prisma schema file to use for identifying virtual relations.
- * @param {string} clientDir - Directory containing the specific Prisma client (index.d.ts, index.js).
+ * @param {string} schemaPathForMap - Path to the .prisma schema file or directory to use for identifying virtual relations.
+ * @param {string} clientDir - Directory containing the specific Prisma client (index.d.ts, index.js),
+ *   or the output of the `prisma-client` generator (client.ts, models/*.ts).
+ * @param {PatchOptions} [options] - Discovery options.
  */
-const processPrismaClient = (RELATION_MODELS, schemaPathForMap, clientDir) => {
-    const indexDtsPath = path.resolve(clientDir, 'index.d.ts');
-
+const processPrismaClient = (RELATION_MODELS, schemaPathForMap, clientDir, options = {}) => {
     console.log(`Processing Prisma client: ${clientDir} (using schema: ${schemaPathForMap})`);
 
+    const files = planPrismaClient(RELATION_MODELS, schemaPathForMap, clientDir, options);
+    const changedFiles = files.filter(file => file.content !== file.original);
+
+    for (const file of files.filter(file => file.conflict)) {
+        console.warn(`prisma-one2one: ${file.path} was ${file.conflict}${changedFiles.includes(file) ? ', replacing its patch' : ''}`);
+    }
+
+    for (const file of changedFiles) {
+        if (file.inPlace) {
+            writePatchedFile(file);
+            console.log(`Processed TypeScript definitions in ${file.path}`);
+        } else {
+            fs.writeFileSync(file.path, file.content, 'utf8');
+            console.log(`  Wrote ${file.path}`);
+        }
+    }
+
+    if (changedFiles.length === 0) {
+        console.log(`No changes needed for TypeScript definitions in ${clientDir}`);
+    }
+
+    console.log(`Completed processing client: ${clientDir}`);
+};
+
+/**
+ * Computes the files processing a client would write, without writing them.
+ * @param {string[]} RELATION_MODELS - Array of relation models to process.
+ * @param {string} schemaPathForMap - Path to the .prisma schema file or directory.
+ * @param {string} clientDir - Generated client directory.
+ * @param {PatchOptions} [options] - Discovery options.
+ * @param {(message: string) => void} [log] - Logger of the discovered relations.
+ * @returns {PlannedFile[]} The files of the client to patch, or the augmentation file to write
+ */
+export function planPrismaClient(RELATION_MODELS, schemaPathForMap, clientDir, options = {}, log = console.log) {
     // --- Read Schema and Identify Virtual Relations ---
-    let schemaContent = '';
+    const datamodel = readDatamodel(schemaPathForMap, options);
+    const virtualRelationsMap = identifyVirtualRelations(RELATION_MODELS, datamodel, options, log);
+
+    // Relations that may match several rows are reported, their types are generated anyway
+    for (const { warning } of lintVirtualRelations(virtualRelationsMap, datamodel)) {
+        if (warning) log(`  Warning: ${warning}`);
+    }
+    /** @type {PatchStamp} */
+    const stamp = { version: TOOL_VERSION, relationModels: RELATION_MODELS, schemaHash: hashSchema(schemaPathForMap, datamodel) };
+
+    // --- Process the type definitions ---
+    const layout = detectClientLayout(clientDir);
+    if (!layout) {
+        throw new Error(`No generated client found in ${clientDir} (expected index.d.ts, or client.ts and models/ from the prisma-client generator)`);
+    }
+
+    const generatedFiles = layout === 'prisma-client' ? listModelFiles(clientDir) : [path.resolve(clientDir, 'index.d.ts')];
+    const manifestFile = planRelationManifest(clientDir, virtualRelationsMap, datamodel, stamp);
+
+    if (options.output === 'augment') {
+        // Files patched in place by a previous run are restored, so the client isn't typed twice
+        return [
+            ...planPatchedFiles(generatedFiles, stamp, content => content),
+            planTypeAugmentation(clientDir, layout, virtualRelationsMap, datamodel, options),
+            manifestFile
+        ];
+    }
+
+    // Prisma's result types map each include to a relation payload, so the patched types can't merge flattened fields
+    const flattenedRelations = resolveFlattenedRelations(options.flatten, virtualRelationsMap, datamodel);
+    const untypedFlattens = Object.entries(flattenedRelations).flatMap(([modelName, specs]) => Object.keys(specs).map(singularKey => ({
+        code: 'FLATTEN_UNTYPED',
+        model: modelName,
+        field: virtualRelationsMap[modelName].find(relation => relation.singularKey === singularKey).pluralKey,
+        singularKey,
+        message: `The flattened relation "${singularKey}" can't be typed by patching the generated types.`,
+        suggestion: `Use output: 'augment' to type flattened relations.`
+    })));
+    if (untypedFlattens.length > 0) {
+        throw new VirtualRelationDiagnosticsError(untypedFlattens);
+    }
+
+    const managedFields = resolveManagedFields(options.managedFields, datamodel);
+    const patchedFiles = planPatchedFiles(generatedFiles, stamp, (content, declaredTypes) => patchTypeDefinitions(
+        content,
+        virtualRelationsMap,
+        // Model files of `prisma-client` reference each other's types through the `Prisma` namespace import
+        layout === 'prisma-client' ? { typePrefix: 'Prisma.', declaredTypes, managedFields } : { managedFields }
+    ));
+    return [...patchedFiles, manifestFile];
+}
+
+/**
+ * Lints the virtual relations of a schema: the fields a where must set for each of them to match a single row,
+ * and a warning for the ones no unique constraint of the related model makes one-to-one.
+ * @param {string[]} RELATION_MODELS - Array of relation models to process
+ * @param {string} prismaFilePath - Path to the .prisma schema file or multi-file schema directory
+ * @param {PatchOptions} [options] - Discovery options (`relations`, `diagnostics`, `datamodel`, `flatten`)
+ * @returns {VirtualRelationLint[]} One entry by virtual relation
+ */
+export function lintPrismaSchema(RELATION_MODELS, prismaFilePath, options = {}) {
+    const datamodel = readDatamodel(prismaFilePath, options);
+    const virtualRelationsMap = identifyVirtualRelations(RELATION_MODELS, datamodel, options, () => {});
+
+    // Flatten specs overwriting fields of their parent throw a VirtualRelationDiagnosticsError
+    resolveFlattenedRelations(options.flatten, virtualRelationsMap, datamodel);
+    return lintVirtualRelations(virtualRelationsMap, datamodel);
+}
+
+/**
+ * Reads the datamodel to discover virtual relations from: the `datamodel` option, or the parsed schema.
+ * @param {string} prismaFilePath - Path to the .prisma schema file or multi-file schema directory
+ * @param {PatchOptions} options - Patch options
+ * @returns {{ models: any[] }} The datamodel
+ */
+function readDatamodel(prismaFilePath, options) {
+    if (options.datamodel) return options.datamodel;
+
     try {
-        schemaContent = fs.readFileSync(schemaPathForMap, 'utf8');
+        return readPrismaSchema(prismaFilePath);
     } catch (err) {
-        console.error(`Error reading schema file ${schemaPathForMap}:`, err);
-        return;
+        throw new Error(`Error reading schema ${prismaFilePath}: ${err.message}`, { cause: err });
     }
+}
 
-    const models = (schemaContent.match(/model\s+([A-Za-z0-9_]+)\s+\{/g) || []).map(m => m.split(/\s+/)[1]);
-    const virtualRelationsMap = identifyVirtualRelations(RELATION_MODELS, schemaContent, models);
+/**
+ * Plans the relation manifest next to the generated client: the virtual relations the types are generated for,
+ * which the runtime patch can load (`manifest` option) instead of discovering them again.
+ * @param {string} clientDir - Generated client directory
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {{ models: any[] }} datamodel - Schema datamodel
+ * @param {PatchStamp} stamp - Version, relation models and schema hash of the patch
+ * @returns {PlannedFile}
+ */
+function planRelationManifest(clientDir, virtualRelationsMap, datamodel, stamp) {
+    const manifestPath = path.resolve(clientDir, MANIFEST_FILE);
+    /** @type {RelationManifest} */
+    const manifest = { ...stamp, relations: describeVirtualRelations(virtualRelationsMap, datamodel) };
+
+    return {
+        path: manifestPath,
+        original: fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : null,
+        content: `${JSON.stringify(manifest, null, 2)}\n`,
+        inPlace: false
+    };
+}
 
-    // --- Process index.d.ts --- (Type Definitions)
-    if (fs.existsSync(indexDtsPath)) {
-        processDtsFile(indexDtsPath, virtualRelationsMap);
-    } else {
-        console.error(`index.d.ts not found at ${indexDtsPath}`);
-        return;
+/**
+ * Hashes the schema files, or the datamodel when they can't be read (e.g. a `datamodel` passed without a schema).
+ * @param {string} schemaPath - Path to the .prisma schema file or directory
+ * @param {{ models: any[] }} datamodel - Schema datamodel
+ * @returns {string} Short hex digest
+ */
+function hashSchema(schemaPath, datamodel) {
+    const hash = createHash('sha256');
+    try {
+        listSchemaFiles(schemaPath).forEach(file => hash.update(fs.readFileSync(file)));
+    } catch {
+        hash.update(JSON.stringify(datamodel));
     }
+    return hash.digest('hex').slice(0, 16);
+}
 
-    console.log(`Completed processing client: ${clientDir}`);
-};
+/**
+ * Reads the header a previous run wrote at the top of a patched file.
+ * @param {string} content - File content
+ * @returns {PatchStamp | null} The stamp, or null when the file isn't patched
+ */
+function readPatchStamp(content) {
+    const header = new RegExp(`^${PATCH_MARKER} (\\{.*\\})\n`).exec(content);
+    if (!header) return null;
+
+    try {
+        return JSON.parse(header[1]);
+    } catch {
+        return null;
+    }
+}
 
 /**
- * Gets the singular form of an English word from its plural form.
- * @param {string} plural - The plural form of the word
- * @returns {string} The singular form of the word
+ * Removes a previous patch from a generated file, using the markers it left.
+ * @param {string} content - File content
+ * @returns {string} The content as generated
  */
-function getSingularForm(plural) {
-    // No need to process if the word is already singular
-    if (!plural.endsWith('s')) {
-        return plural;
+function stripPatch(content) {
+    return content
+        .replace(new RegExp(`^${PATCH_MARKER} \\{.*\\}\n`), '')
+        .replace(new RegExp(`\n${PATCH_MARKER}: begin\n[\\s\\S]*?\n${PATCH_MARKER}: end\n`, 'g'), '')
+        .replace(new RegExp(`\n[^\n]* ${PATCH_MARKER}(?=\n|$)`, 'g'), '')
+        .replace(new RegExp(`^([ \t]*[\\w$]+)\\?(\\s*:[^\n]*) ${PATCH_MARKER}: optional$`, 'gm'), '$1$2');
+}
+
+/**
+ * Describes how a file was patched with a different config than the current one.
+ * @param {string} content - File content
+ * @param {PatchStamp} stamp - Stamp of the current run
+ * @returns {string | null} The difference, or null when the previous patch (if any) matches
+ */
+function describePatchConflict(content, stamp) {
+    const previousStamp = readPatchStamp(content);
+
+    if (!previousStamp) {
+        // Older versions patched without markers: their changes can't be told apart from the generated code
+        return /\bOne2OneVirtual\w+</.test(content)
+            ? 'patched by an older prisma-one2one without markers (run `prisma generate` to start from a clean client)'
+            : null;
+    }
+    if (String(previousStamp.relationModels) !== String(stamp.relationModels)) {
+        return `patched for the relation models ${(previousStamp.relationModels || []).join(', ')}`;
+    }
+    if (previousStamp.version !== stamp.version) {
+        return `patched by prisma-one2one ${previousStamp.version}`;
+    }
+    if (previousStamp.schemaHash !== stamp.schemaHash) {
+        return 'patched from another version of the schema (run `prisma generate` if the client is stale)';
     }
+    return null;
+}
+
+/**
+ * Plans the patch of generated files. The previous patch is removed first, so that running again
+ * either changes nothing or cleanly replaces it; a file the patch leaves unchanged gets no header.
+ * @param {string[]} filePaths - Generated files
+ * @param {PatchStamp} stamp - Header of the patched files
+ * @param {(content: string, declaredTypes: string) => string} patch - Patches the content of a generated file,
+ *   given the content of all of them to look types up in
+ * @returns {PlannedFile[]}
+ */
+function planPatchedFiles(filePaths, stamp, patch) {
+    const files = filePaths.map(filePath => {
+        const original = fs.readFileSync(filePath, 'utf8');
+        return { path: filePath, original, generated: stripPatch(original) };
+    });
+    const declaredTypes = files.map(file => file.generated).join('\n');
+
+    return files.map(({ path: filePath, original, generated }) => {
+        const patched = patch(generated, declaredTypes);
+        return {
+            path: filePath,
+            original,
+            content: patched === generated ? generated : `${PATCH_MARKER} ${JSON.stringify(stamp)}\n${patched}`,
+            inPlace: true,
+            conflict: describePatchConflict(original, stamp)
+        };
+    });
+}
+
+/**
+ * Suffix of the copies of generated files taken before patching them.
+ */
+const BACKUP_SUFFIX = '.one2one.bak';
+
+/**
+ * Writes a patched file of the generated client, after backing up its original.
+ * The backup is kept newer than the file: a file newer than its backup was regenerated since it was
+ * patched, and only then is the backup replaced, so that it never holds an already patched version.
+ * @param {PlannedFile} file - File to write
+ */
+function writePatchedFile(file) {
+    const backupPath = `${file.path}${BACKUP_SUFFIX}`;
+    const isRegenerated = !fs.existsSync(backupPath) || fs.statSync(backupPath).mtimeMs < fs.statSync(file.path).mtimeMs;
+
+    fs.writeFileSync(file.path, file.content, 'utf8');
 
-    // Handle common irregular plural patterns
-    if (plural.endsWith('ies')) {
-        // Categories -> Category, Groceries -> Grocery
-        return plural.slice(0, -3) + 'y';
-    } else if (plural.endsWith('es') &&
-        (plural.endsWith('xes') || plural.endsWith('ses') ||
-            plural.endsWith('ches') || plural.endsWith('shes') ||
-            plural.endsWith('zes'))) {
-        // Taxes -> Tax, Boxes -> Box, Glasses -> Glass, Dishes -> Dish, etc.
-        return plural.slice(0, -2);
+    if (isRegenerated) {
+        fs.writeFileSync(backupPath, file.original, 'utf8');
     } else {
-        // Regular plural: just remove the 's'
-        return plural.slice(0, -1);
+        const now = new Date();
+        fs.utimesSync(backupPath, now, now);
     }
 }
 
 /**
- * Identifies parent models with virtual singular relations from schema content.
+ * Restores the files backed up before patching a client, and removes the type augmentation and relation manifest.
+ * Files regenerated since they were patched are left untouched and their backup discarded.
+ * @param {string} clientDir - Generated client directory
+ * @returns {string[]} Paths of the restored or removed files
+ */
+export function restorePrismaClient(clientDir) {
+    const restoredFiles = [];
+    const directories = [clientDir, path.resolve(clientDir, 'models')].filter(dir => fs.existsSync(dir));
+
+    for (const dir of directories) {
+        for (const entry of fs.readdirSync(dir).filter(name => name.endsWith(BACKUP_SUFFIX)).sort()) {
+            const backupPath = path.resolve(dir, entry);
+            const filePath = backupPath.slice(0, -BACKUP_SUFFIX.length);
+
+            if (fs.existsSync(filePath) && fs.statSync(filePath).mtimeMs > fs.statSync(backupPath).mtimeMs) {
+                console.warn(`prisma-one2one: ${filePath} was regenerated since it was patched, discarding its backup`);
+            } else {
+                fs.copyFileSync(backupPath, filePath);
+                restoredFiles.push(filePath);
+            }
+            fs.unlinkSync(backupPath);
+        }
+    }
+
+    for (const augmentationFile of ['one2one.d.ts', 'one2one.ts', MANIFEST_FILE]) {
+        const augmentationPath = path.resolve(clientDir, augmentationFile);
+        if (fs.existsSync(augmentationPath)) {
+            fs.unlinkSync(augmentationPath);
+            restoredFiles.push(augmentationPath);
+        }
+    }
+
+    return restoredFiles;
+}
+
+/**
+ * Identifies parent models with virtual singular relations from the schema datamodel.
+ * Uses the same rules as the runtime patch, so the patched types match runtime behaviour.
  * @param {string[]} RELATION_MODELS - Array of relation models to process
- * @param {string} schemaContent
- * @param {string[]} models
+ * @param {{ models: any[] }} datamodel - Parsed schema datamodel
+ * @param {PatchOptions} [options] - Discovery options
+ * @param {(message: string) => void} [log] - Logger of the discovered relations
  * @returns {VirtualRelationsMap}
  */
-function identifyVirtualRelations(RELATION_MODELS, schemaContent, models) {
-    // Initialize with explicit type to avoid type errors
-    const virtualRelationsMap = /** @type {Record<string, { pluralKey: string; singularKey: string; relatedModel: string }[]>} */ ({});
-
-    // Build regex pattern for all supported relation types
-    const relationTypesPattern = RELATION_MODELS.map(model => `(\\w+${model})`).join('|');
-    const relationRegex = new RegExp(`(\\w+)\\s+(${relationTypesPattern})\\[\\]`, 'g');
+function identifyVirtualRelations(RELATION_MODELS, datamodel, options, log = console.log) {
+    // Relations with colliding singular keys are reported and left out (or throw with `diagnostics: 'error'`)
+    const { virtualRelationsMap } = resolveVirtualRelations(RELATION_MODELS, datamodel, options);
 
     let totalRelations = 0;
     let relationCounts = {};
     RELATION_MODELS.forEach(model => relationCounts[model] = 0);
 
-    models.forEach(parentModel => {
-        const modelBlockRegex = new RegExp(`model\\s+${parentModel}\\s+\\{([\\s\\S]*?)\\}`, 'g');
-        const modelBlockMatch = modelBlockRegex.exec(schemaContent);
-        if (modelBlockMatch) {
-            const modelBody = modelBlockMatch[1];
-            let relMatch;
-            relationRegex.lastIndex = 0;
-            while ((relMatch = relationRegex.exec(modelBody)) !== null) {
-                const pluralKey = relMatch[1];
-                const relatedModel = relMatch[2];  // Could be *Lang, *Shop, *Price, *Tax etc.
-
-                // Get singular form using our helper function
-                const singularKey = getSingularForm(pluralKey);
-
-                if (!virtualRelationsMap[parentModel]) virtualRelationsMap[parentModel] = [];
-                if (!virtualRelationsMap[parentModel].some(e => e.pluralKey === pluralKey)) {
-                    virtualRelationsMap[parentModel].push({ pluralKey, singularKey, relatedModel });
-
-                    totalRelations++;
-
-                    // Count by relation type
-                    for (const model of RELATION_MODELS) {
-                        if (relatedModel.endsWith(model)) {
-                            relationCounts[model]++;
-                            break;
-                        }
-                    }
-
-                    console.log(`  Found virtual relation: ${parentModel}.${singularKey} -> ${pluralKey} (${relatedModel})`);
-                }
-            }
+    for (const [parentModel, relations] of Object.entries(virtualRelationsMap)) {
+        for (const { pluralKey, singularKey, relatedModel } of relations) {
+            totalRelations++;
+
+            // Count by relation type (annotated relations may not match any)
+            const matchingModel = RELATION_MODELS.find(model => relatedModel.endsWith(model));
+            if (matchingModel) relationCounts[matchingModel]++;
+
+            log(`  Found virtual relation: ${parentModel}.${singularKey} -> ${pluralKey} (${relatedModel})`);
         }
-    });
+    }
 
     // Log count for each relation type
     const countDetails = RELATION_MODELS.map(model => `${relationCounts[model]} ${model}`).join(', ');
-    console.log(`  Found ${totalRelations} virtual relations (${countDetails})`);
+    log(`  Found ${totalRelations} virtual relations (${countDetails})`);
     return virtualRelationsMap;
 }
 
 /**
- * Processes the index.d.ts file.
- * @param {string} indexDtsPath
- * @param {VirtualRelationsMap} virtualRelationsMap
+ * Detects which generator produced a client directory.
+ * @param {string} clientDir - Generated client directory
+ * @returns {'prisma-client-js' | 'prisma-client' | null} The generator, or null when no client is found
  */
-function processDtsFile(indexDtsPath, virtualRelationsMap) {
-    let dtsContent = fs.readFileSync(indexDtsPath, 'utf8');
-    const originalDtsContent = dtsContent;
-
-    // 1. Make timestamps optional in *Input types
-    const inputTypeRegex = /export\s+type\s+([A-Za-z0-9_]+(?:Create|Update|CreateMany|UpdateMany)(?:Input|MutationInput))\s*=\s*\{([^}]+)\}/gs;
-    dtsContent = dtsContent.replace(inputTypeRegex, (_, typeName, interfaceBody) => {
-        let newBody = interfaceBody.replace(/(\s*)(createdAt)(\s*):/g, '$1$2?$3:').replace(/(\s*)(updatedAt)(\s*):/g, '$1$2?$3:');
-        if (typeName.includes('Create')) {
-            if (!/(?:\s|\{)createdAt\??\s*:/.test(newBody)) newBody += '\n    createdAt?: Date | string;';
-            if (!/(?:\s|\{)updatedAt\??\s*:/.test(newBody)) newBody += '\n    updatedAt?: Date | string;';
-        }
-        return `export type ${typeName} = {${newBody}}`;
+function detectClientLayout(clientDir) {
+    if (fs.existsSync(path.resolve(clientDir, 'index.d.ts'))) {
+        return 'prisma-client-js';
+    }
+
+    if (fs.existsSync(path.resolve(clientDir, 'client.ts')) && fs.existsSync(path.resolve(clientDir, 'models'))) {
+        return 'prisma-client';
+    }
+
+    return null;
+}
+
+/**
+ * Lists the model files of a `prisma-client` generator output.
+ * @param {string} clientDir - Output directory of the generator
+ * @returns {string[]} Paths of models/*.ts, in a stable order
+ */
+function listModelFiles(clientDir) {
+    const modelsDir = path.resolve(clientDir, 'models');
+    return fs.readdirSync(modelsDir)
+        .filter(file => file.endsWith('.ts'))
+        .sort()
+        .map(file => path.join(modelsDir, file));
+}
+
+/**
+ * Plans the type augmentation next to the generated client, which is left untouched:
+ * `one2one.d.ts` for `prisma-client-js`, `one2one.ts` for the TypeScript sources of `prisma-client`.
+ * @param {string} clientDir - Generated client directory
+ * @param {'prisma-client-js' | 'prisma-client'} layout - Generator of the client
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {{ models: any[] }} datamodel - Parsed schema datamodel
+ * @param {PatchOptions} options - Patch options
+ * @returns {PlannedFile}
+ */
+function planTypeAugmentation(clientDir, layout, virtualRelationsMap, datamodel, options) {
+    let augmentationPath = path.resolve(clientDir, 'one2one.d.ts');
+    let clientImport = './index';
+    let clientTypes;
+
+    if (layout === 'prisma-client') {
+        // Import the client the way the generated files import each other (`importFileExtension`)
+        const clientSource = fs.readFileSync(path.resolve(clientDir, 'client.ts'), 'utf8');
+        const extension = /from\s+["']\.\/internal\/class(\.\w+)?["']/.exec(clientSource)?.[1] || '';
+
+        augmentationPath = path.resolve(clientDir, 'one2one.ts');
+        clientImport = `./client${extension}`;
+        clientTypes = listModelFiles(clientDir).map(file => fs.readFileSync(file, 'utf8')).join('\n');
+    } else {
+        clientTypes = fs.readFileSync(path.resolve(clientDir, 'index.d.ts'), 'utf8');
+    }
+
+    const content = renderTypeAugmentation(virtualRelationsMap, datamodel, {
+        clientImport,
+        runtimeModule: options.runtimeModule === undefined ? 'prisma-one2one/runtime' : options.runtimeModule,
+        flatten: resolveFlattenedRelations(options.flatten, virtualRelationsMap, datamodel),
+        // Only wrap the operations this Prisma version declares (e.g. no updateManyAndReturn before 6.2)
+        operations: detectDelegateOperations(clientTypes)
     });
 
+    const original = fs.existsSync(augmentationPath) ? fs.readFileSync(augmentationPath, 'utf8') : null;
+    return { path: augmentationPath, original, content, inPlace: false };
+}
+
+/**
+ * Helper types appended to the patched index.d.ts (or model file) when used, declared at module level
+ * so that they are visible inside `namespace Prisma`.
+ */
+const HELPER_TYPES = {
+    One2OneVirtualRelationFilter: `type One2OneVirtualRelationFilter<T> = {
+  is?: T | null
+  isNot?: T | null
+}`,
+    One2OneVirtualCreateNestedInput: `type One2OneVirtualCreateNestedInput<TCreate, TWhere> = {
+  create?: TCreate
+  connectOrCreate?: { where: TWhere; create: TCreate }
+  connect?: TWhere
+}`,
+    One2OneVirtualUpdateNestedInput: `type One2OneVirtualUpdateNestedInput<TCreate, TUpdate, TWhere> = One2OneVirtualCreateNestedInput<TCreate, TWhere> & {
+  upsert?: { where: TWhere; create: TCreate; update: TUpdate }
+  update?: TUpdate | { where?: TWhere; data: TUpdate }
+  delete?: boolean | TWhere
+  disconnect?: boolean | TWhere
+}`,
+    One2OneVirtualIncludeArgs: `type One2OneVirtualIncludeArgs<TArgs, TScalars> = Exclude<TArgs, boolean | null | undefined> & {
+  fallback?: Partial<TScalars>[]
+}`
+};
+
+/**
+ * Finds the closing brace matching an opening one, skipping comments and string literals
+ * (Prisma's doc comments contain braces, e.g. `{@link ...}`).
+ * @param {string} content - Text to scan
+ * @param {number} openIndex - Index of the opening brace
+ * @returns {number} Index of the matching closing brace, or -1
+ */
+function findClosingBrace(content, openIndex) {
+    let depth = 0;
+
+    for (let i = openIndex; i < content.length; i++) {
+        const char = content[i];
+
+        if (char === '/' && content[i + 1] === '*') {
+            i = content.indexOf('*/', i + 2);
+            if (i === -1) return -1;
+            i++;
+        } else if (char === '/' && content[i + 1] === '/') {
+            i = content.indexOf('\n', i);
+            if (i === -1) return -1;
+        } else if (char === '"' || char === "'") {
+            while (++i < content.length && content[i] !== char) {
+                if (content[i] === '\\') i++;
+            }
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Finds the object literal bodies of type declarations, with nested braces kept whole.
+ * Handles generic parameters (`BrandInclude<ExtArgs extends ... = ...>`) and single wrappers
+ * around the literal (`BrandSelect<...> = $Extensions.GetSelect<{...}, ...>`).
+ * @param {string} content - d.ts content
+ * @param {string} typeNamePattern - Regex source matching the whole type name
+ * @returns {{ typeName: string; start: number; end: number; body: string }[]} Bodies, from `{` to `}` included
+ */
+function findTypeBodies(content, typeNamePattern) {
+    const declarationRegex = new RegExp(`\\btype\\s+(${typeNamePattern})(?![\\w$])`, 'g');
+    const bodies = [];
+    let match;
+
+    while ((match = declarationRegex.exec(content)) !== null) {
+        let index = declarationRegex.lastIndex;
+
+        // Skip generic parameters, which may contain defaults and nested type arguments
+        if (content[index] === '<') {
+            let depth = 0;
+            for (; index < content.length; index++) {
+                if (content[index] === '<') depth++;
+                if (content[index] === '>' && content[index - 1] !== '=' && --depth === 0) break;
+            }
+            index++;
+        }
+
+        const assignment = /^\s*=\s*(?:[\w$.]+<\s*)?\{/.exec(content.slice(index, index + 200));
+        if (!assignment) continue;
+
+        const start = index + assignment[0].length - 1;
+        const end = findClosingBrace(content, start);
+        if (end === -1) continue;
+
+        bodies.push({ typeName: match[1], start, end: end + 1, body: content.slice(start, end + 1) });
+        declarationRegex.lastIndex = end + 1;
+    }
+
+    return bodies;
+}
+
+/**
+ * Replaces the object literal bodies of type declarations.
+ * @param {string} content - d.ts content
+ * @param {string} typeNamePattern - Regex source matching the whole type name
+ * @param {(body: string, typeName: string) => string} transform - Returns the new body
+ * @returns {string} The new content
+ */
+function replaceTypeBodies(content, typeNamePattern, transform) {
+    let result = '';
+    let lastIndex = 0;
+
+    for (const { typeName, start, end, body } of findTypeBodies(content, typeNamePattern)) {
+        result += content.slice(lastIndex, start) + transform(body, typeName);
+        lastIndex = end;
+    }
+
+    return result + content.slice(lastIndex);
+}
+
+/**
+ * Finds a member of an object literal whose type is itself an object literal, e.g. `objects: {...}`,
+ * possibly wrapped like the type declarations (`scalars: $Extensions.GetPayloadResult<{...}, ...>`).
+ * @param {string} body - Object literal, braces included
+ * @param {string} key - Member name
+ * @returns {{ start: number; end: number; body: string } | null} The member's object literal
+ */
+function findObjectMember(body, key) {
+    const memberMatch = new RegExp(`[\\s{;]${key}\\??\\s*:\\s*(?:[\\w$.]+<\\s*)?\\{`).exec(body);
+    if (!memberMatch) return null;
+
+    const start = memberMatch.index + memberMatch[0].length - 1;
+    const end = findClosingBrace(body, start);
+    return end === -1 ? null : { start, end: end + 1, body: body.slice(start, end + 1) };
+}
+
+/**
+ * Adds a member at the end of an object literal, unless it already declares the key
+ * at its top level. The member's line is marked, so that `stripPatch` can remove it.
+ * @param {string} body - Object literal, braces included
+ * @param {string} key - Member name
+ * @param {string} member - Member declaration, e.g. `brandLang?: BrandLang | null`
+ * @returns {string} The new object literal
+ */
+function addMember(body, key, member) {
+    // Blank out nested object literals so that only top-level members are checked
+    let topLevel = body.slice(1, -1);
+    while (/\{[^{}]*\}/.test(topLevel)) topLevel = topLevel.replace(/\{[^{}]*\}/g, '');
+    if (new RegExp(`(?:^|[\\s;,])${key.replace(/\$/g, '\\$')}\\??\\s*:`).test(topLevel)) return body;
+
+    const indent = /\n([ \t]+)\S/.exec(body)?.[1] ?? '  ';
+    const closingIndent = /\n([ \t]*)\}$/.exec(body)?.[1] ?? '';
+    return `${body.slice(0, -1).trimEnd()}\n${indent}${member} ${PATCH_MARKER}\n${closingIndent}}`;
+}
+
+/**
+ * Adds the virtual relations to the generated type definitions.
+ * @param {string} dtsContent - Content of index.d.ts, or of a model file of the `prisma-client` generator
+ * @param {VirtualRelationsMap} virtualRelationsMap
+ * @param {{ typePrefix?: string; declaredTypes?: string; managedFields?: Record<string, { onCreate: string[] }> }} [options] -
+ *   Prefix of references to other generated types (`Prisma.` in model files), the content to look types up in
+ *   when it spans several files, and the auto-managed fields of each model
+ * @returns {string} The patched content
+ */
+function patchTypeDefinitions(dtsContent, virtualRelationsMap, options = {}) {
+    const { typePrefix = '', declaredTypes = dtsContent, managedFields = {} } = options;
+    const isDeclared = typeName => new RegExp(`export\\s+type\\s+${typeName.replace(/\$/g, '\\$')}\\b`).test(declaredTypes);
+    // Payload types are `Prisma.$BrandPayload` since Prisma 5, a top-level `BrandPayload` in Prisma 4.16 and absent before
+    const payloadType = modelName => {
+        if (isDeclared(`$${modelName}Payload`)) return `Prisma.$${modelName}Payload`;
+        return isDeclared(`${modelName}Payload`) ? `${modelName}Payload` : null;
+    };
+
+    // 1. Make the fields the runtime patch fills on create optional in the model's Create inputs
+    // (including CreateMany and the nested *Without* variants); Update inputs are optional already
+    for (const [modelName, { onCreate }] of Object.entries(managedFields)) {
+        if (onCreate.length === 0) continue;
+
+        const fieldLineRegex = new RegExp(`^([ \\t]*(?:${onCreate.join('|')}))(\\s*:[^\\n]*)$`, 'gm');
+        dtsContent = replaceTypeBodies(dtsContent, `${modelName}(?:Unchecked)?Create\\w*Input`, body =>
+            body.replace(fieldLineRegex, `$1?$2 ${PATCH_MARKER}: optional`)
+        );
+    }
+
     // 2. Add singular virtual relation types (for all relation types)
     for (const [parentModel, relations] of Object.entries(virtualRelationsMap)) {
         relations.forEach(({ singularKey, pluralKey, relatedModel }) => {
             const singularTypeName = relatedModel; // Either *Lang, *Shop, *Price, *Tax, etc.
             const singularArgsName = `${singularTypeName}Args`;
 
-            // Look for patterns to derive the proper types from plural relations
-            // Find the type definition for the plural relation in the include type
-            const pluralIncludeTypeRegex = new RegExp(`(${pluralKey}\\??\\s*:\\s*)([^;\\n]+)`, 'g');
+            // Derive the include/select type from the plural relation: Prisma 5/6 name it after
+            // the field (e.g. Brand$brandLangsArgs), older clients after the related model
             let pluralIncludeType = '';
-
-            // First search in the model include type to find the proper type for plurals
-            const modelIncludeRegex = new RegExp(`export\\s+type\\s+${parentModel}Include(?:<[^>]*>)?\\s*=\\s*\\{([^}]*)\\}`, 's');
-            const modelIncludeMatch = modelIncludeRegex.exec(dtsContent);
-
-            if (modelIncludeMatch) {
-                const includeBody = modelIncludeMatch[1];
-                const pluralTypeMatch = pluralIncludeTypeRegex.exec(includeBody);
-
-                if (pluralTypeMatch) {
-                    pluralIncludeType = pluralTypeMatch[2].trim();
-                    // Convert plural type to singular type
-                    // Replace Prisma.ProductLangsArgs to Prisma.ProductLangArgs
-                    pluralIncludeType = pluralIncludeType.replace(
-                        new RegExp(`(Prisma\\.\\w+\\$?)${pluralKey}(Args<[^>]+>)`, 'g'),
-                        `$1${singularKey}$2`
-                    );
-                }
+            const includeBody = findTypeBodies(dtsContent, `${parentModel}Include`)[0]?.body;
+            const pluralTypeMatch = includeBody && new RegExp(`\\b${pluralKey}\\??\\s*:\\s*([^;\\n]+)`).exec(includeBody);
+
+            if (pluralTypeMatch) {
+                pluralIncludeType = pluralTypeMatch[1].trim();
+                // Convert plural type to singular type
+                // Replace Prisma.ProductLangsArgs to Prisma.ProductLangArgs
+                pluralIncludeType = pluralIncludeType.replace(
+                    new RegExp(`Prisma\\.(\\w+\\$?)${pluralKey}(Args)(<[^>]+>)`, 'g'),
+                    // Field-named args (Prisma.Brand$brandLangsArgs in model files) have no singular counterpart
+                    (match, prefix, args, typeArgs) => isDeclared(`${prefix}${singularKey}${args}`)
+                        ? `Prisma.${prefix}${singularKey}${args}${typeArgs}`
+                        : match
+                );
             }
 
             // Fallback type if we couldn't determine the proper type
-            const fallbackIncludeType = `boolean | ${singularArgsName}<ExtArgs>`;
+            const fallbackIncludeType = `boolean | ${typePrefix}${singularArgsName}<ExtArgs>`;
             const includeType = pluralIncludeType || fallbackIncludeType;
+            const relatedPayloadType = payloadType(relatedModel);
+            const scalarsType = relatedPayloadType ? `${relatedPayloadType}['scalars']` : `${typePrefix}${relatedModel}`;
+            // The include may fall back on other rows (flattening is only typed by the augmentation)
+            const virtualArgsType = `One2OneVirtualIncludeArgs<${includeType}, ${scalarsType}>`;
 
             // Add the fields to different type definitions
-            const addField = (regex, fieldDef) => {
-                dtsContent = dtsContent.replace(regex, (match, start, end) =>
-                    !start.includes(` ${singularKey}\??\s*:`) ? `${start}${fieldDef}${end}` : match
+            const addField = (typeNamePattern, fieldDef) => {
+                dtsContent = replaceTypeBodies(dtsContent, typeNamePattern, body =>
+                    addMember(body, singularKey, fieldDef)
                 );
             };
 
             // Main model
-            addField(
-                new RegExp(`(export\\s+type\\s+${parentModel}\\s*=\\s*\\{[^}]*)(\\})`, 's'),
-                `\n  ${singularKey}?: ${singularTypeName} | null`
-            );
+            addField(parentModel, `${singularKey}?: ${singularTypeName} | null`);
 
-            // Include type
-            addField(
-                new RegExp(`(export\\s+type\\s+${parentModel}Include(?:<[^>]*>)?\\s*=\\s*\\{[^}]*)(\\})`, 's'),
-                `\n  ${singularKey}?: ${includeType}`
-            );
+            // Include and select types (`BrandSelect` wraps its body in `$Extensions.GetSelect<{...}>`)
+            addField(`${parentModel}Include`, `${singularKey}?: ${includeType} | ${virtualArgsType}`);
+            if (pluralIncludeType) {
+                addField(`${parentModel}Select`, `${singularKey}?: ${includeType} | ${virtualArgsType}`);
+            }
 
             // Args type
-            addField(
-                new RegExp(`(export\\s+type\\s+${parentModel}Args(?:<[^>]*>)?\\s*=\\s*\\{[^}]*)(\\})`, 's'),
-                `\n  ${singularKey}?: ${singularArgsName}<ExtArgs>`
-            );
-
-            // GetPayload type
-            addField(
-                new RegExp(`(export\\s+type\\s+${parentModel}GetPayload(?:<[^>]*>)?\\s*=\\s*\\{[^}]*)(\\})`, 's'),
-                `\n  ${singularKey}?: ${singularTypeName} | null`
-            );
+            addField(`${parentModel}Args`, `${singularKey}?: ${typePrefix}${singularArgsName}<ExtArgs>`);
+
+            // GetPayload type (object literal in older clients, `$Result.GetResult<...>` since Prisma 5)
+            addField(`${parentModel}GetPayload`, `${singularKey}?: ${singularTypeName} | null`);
+
+            // Payload objects: GetPayload and the delegate results infer relations from `$BrandPayload['objects']`
+            dtsContent = replaceTypeBodies(dtsContent, `\\$?${parentModel}Payload`, payloadBody => {
+                const objects = findObjectMember(payloadBody, 'objects');
+                if (!objects || !relatedPayloadType) return payloadBody;
+
+                const objectsBody = addMember(objects.body, singularKey, `${singularKey}: ${relatedPayloadType}<ExtArgs> | null`);
+                return payloadBody.slice(0, objects.start) + objectsBody + payloadBody.slice(objects.end);
+            });
+
+            // Where input type: reuse Prisma's nullable to-one filter when the client generated one
+            const nullableFilterTypeName = [`${relatedModel}NullableScalarRelationFilter`, `${relatedModel}NullableRelationFilter`]
+                .find(isDeclared);
+            const whereType = nullableFilterTypeName
+                ? `${typePrefix}XOR<${typePrefix}${nullableFilterTypeName}, ${typePrefix}${relatedModel}WhereInput> | null`
+                : `One2OneVirtualRelationFilter<${typePrefix}${relatedModel}WhereInput> | ${typePrefix}${relatedModel}WhereInput | null`;
+
+            addField(`${parentModel}WhereInput`, `${singularKey}?: ${whereType}`);
+
+            // Create/Update input types (including the nested *Without* variants): the plural nested
+            // write type, e.g. BrandLangCreateNestedManyWithoutBrandsInput, names the back relation
+            const nestedWriteTypeRegex = new RegExp(`\\b${pluralKey}\\??\\s*:\\s*(?:Prisma\\.)?${relatedModel}(?:Unchecked)?(Create|Update)(?:Nested)?ManyWithout(\\w+?)(?:Nested)?Input\\b`);
+            dtsContent = replaceTypeBodies(dtsContent, `${parentModel}(?:Unchecked)?(?:Create|Update)(?:Without\\w+)?Input`, body => {
+                const nestedWriteMatch = nestedWriteTypeRegex.exec(body);
+                if (!nestedWriteMatch) return body;
+
+                const [, writeKind, backRelation] = nestedWriteMatch;
+                // Accept the unchecked variants (foreign keys instead of relations) as Prisma's own nested writes do
+                const withUnchecked = kind => isDeclared(`${relatedModel}Unchecked${kind}Without${backRelation}Input`)
+                    ? `${typePrefix}XOR<${typePrefix}${relatedModel}${kind}Without${backRelation}Input, ${typePrefix}${relatedModel}Unchecked${kind}Without${backRelation}Input>`
+                    : `${typePrefix}${relatedModel}${kind}Without${backRelation}Input`;
+                const createType = withUnchecked('Create');
+                const updateType = withUnchecked('Update');
+                const whereInputType = `${typePrefix}${relatedModel}WhereInput`;
+                const fieldType = writeKind === 'Create'
+                    ? `One2OneVirtualCreateNestedInput<${createType}, ${whereInputType}>`
+                    : `One2OneVirtualUpdateNestedInput<${createType}, ${updateType}, ${whereInputType}>`;
+
+                return addMember(body, singularKey, `${singularKey}?: ${fieldType}`);
+            });
         });
     }
 
-    // Write if changed
-    if (dtsContent !== originalDtsContent) {
-        fs.writeFileSync(indexDtsPath, dtsContent, 'utf8');
-        console.log(`Processed TypeScript definitions in ${indexDtsPath}`);
-    } else {
-        console.log(`No changes needed for TypeScript definitions in ${indexDtsPath}`);
+    // 3. Declare the helper types used above once
+    const helperTypes = Object.entries(HELPER_TYPES)
+        .filter(([typeName]) => new RegExp(`\\b${typeName}<`).test(dtsContent) && !new RegExp(`type\\s+${typeName}\\b`).test(dtsContent))
+        .map(([, declaration]) => declaration);
+    if (helperTypes.length > 0) {
+        dtsContent += `\n${PATCH_MARKER}: begin\n${helperTypes.join('\n\n')}\n${PATCH_MARKER}: end\n`;
     }
+
+    return dtsContent;
 }
\ No newline at end of file
@@ -0,0 +1,531 @@
+/**@import { VirtualRelationsMap, RelationOverrides, VirtualRelationDiagnostic, RelationManifest, RelationManifestEntry, ManagedFields, VirtualRelation, FlattenSpec, FlattenConfig } from "./runtime-relation-patch" */
+
+/**
+ * Gets the singular form of an English word from its plural form.
+ * @param {string} plural - The plural form of the word
+ * @returns {string} The singular form of the word
+ */
+export function getSingularForm(plural) {
+    // No need to process if the word is already singular
+    if (!plural.endsWith('s')) {
+        return plural;
+    }
+
+    // Handle common irregular plural patterns
+    if (plural.endsWith('ies')) {
+        // Categories -> Category, Groceries -> Grocery
+        return plural.slice(0, -3) + 'y';
+    } else if (plural.endsWith('es') &&
+        (plural.endsWith('xes') || plural.endsWith('ses') ||
+            plural.endsWith('ches') || plural.endsWith('shes') ||
+            plural.endsWith('zes'))) {
+        // Taxes -> Tax, Boxes -> Box, Glasses -> Glass, Dishes -> Dish, etc.
+        return plural.slice(0, -2);
+    } else {
+        // Regular plural: just remove the 's'
+        return plural.slice(0, -1);
+    }
+}
+
+/**
+ * Reads a `@one2one` annotation from a field's `///` documentation.
+ * `@one2one` opts the field in, `@one2one(name: "translation")` also picks the singular key
+ * and `@one2one(false)` opts it out.
+ * @param {string | undefined} documentation - Field documentation
+ * @returns {{ enabled: boolean; name?: string } | undefined} The annotation, if any
+ */
+export function parseOne2OneAnnotation(documentation) {
+    const match = /@one2one\b(?:\(([^)]*)\))?/.exec(documentation || '');
+    if (!match) return undefined;
+
+    const args = (match[1] || '').trim();
+    if (args === 'false') {
+        return { enabled: false };
+    }
+
+    const nameMatch = /name\s*:\s*"([^"]*)"/.exec(args);
+    return { enabled: true, name: nameMatch?.[1] };
+}
+
+/**
+ * Decides whether a list relation field becomes a virtual singular relation, and under which key.
+ * The JS config wins over the schema annotation, which wins over the naming rule: the related
+ * model must be a relation model with a prefix (e.g. `BrandLang` for `Lang`).
+ * @param {string[]} relationModels - Array of relation models to process
+ * @param {string} modelName - Model owning the field
+ * @param {any} field - DMMF list relation field
+ * @param {RelationOverrides} relationOverrides - Opt-ins/opt-outs by model and field
+ * @returns {string | null} The singular key, or null when the field is not a virtual relation
+ */
+function resolveSingularKey(relationModels, modelName, field, relationOverrides) {
+    const override = relationOverrides?.[modelName]?.[field.name];
+
+    if (override !== undefined) {
+        if (override === false) return null;
+        if (typeof override === 'string') return override;
+        if (typeof override === 'object' && override !== null) {
+            return override.enabled === false ? null : override.name || getSingularForm(field.name);
+        }
+        return getSingularForm(field.name);
+    }
+
+    const annotation = parseOne2OneAnnotation(field.documentation);
+    if (annotation) {
+        return annotation.enabled ? annotation.name || getSingularForm(field.name) : null;
+    }
+
+    const matchesRelationModel = relationModels.some(model =>
+        field.type.length > model.length && field.type.endsWith(model)
+    );
+    return matchesRelationModel ? getSingularForm(field.name) : null;
+}
+
+/**
+ * Builds the map of virtual relations from a DMMF-shaped datamodel. Shared by the
+ * d.ts patcher (parsed schema) and the runtime patch (`Prisma.dmmf.datamodel`).
+ * @param {string[]} relationModels - Array of relation models to process
+ * @param {{ models: any[] }} datamodel - Datamodel to walk
+ * @param {RelationOverrides} [relationOverrides] - Opt-ins/opt-outs by model and field
+ * @returns {VirtualRelationsMap} Map of virtual relations by model
+ */
+export function findVirtualRelations(relationModels, datamodel, relationOverrides = {}) {
+    /** @type {VirtualRelationsMap} */
+    const virtualRelationsMap = {};
+
+    for (const model of datamodel.models) {
+        for (const field of model.fields) {
+            if (field.kind !== 'object' || !field.isList) continue;
+
+            const singularKey = resolveSingularKey(relationModels, model.name, field, relationOverrides);
+            if (!singularKey) continue;
+
+            if (!virtualRelationsMap[model.name]) virtualRelationsMap[model.name] = [];
+            virtualRelationsMap[model.name].push({
+                singularKey,
+                pluralKey: field.name,
+                relatedModel: field.type
+            });
+        }
+    }
+
+    return virtualRelationsMap;
+}
+
+/**
+ * Thrown when virtual relation diagnostics are configured as errors.
+ */
+export class VirtualRelationDiagnosticsError extends Error {
+    /**
+     * @param {VirtualRelationDiagnostic[]} diagnostics
+     */
+    constructor(diagnostics) {
+        super(`Invalid virtual relations:\n${diagnostics.map(d => `  - ${formatDiagnostic(d)}`).join('\n')}`);
+        this.name = 'VirtualRelationDiagnosticsError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Formats a diagnostic as a single log line.
+ * @param {VirtualRelationDiagnostic} diagnostic
+ * @returns {string}
+ */
+export function formatDiagnostic({ code, model, field, message, suggestion }) {
+    return `[${code}] ${model}.${field}: ${message} ${suggestion}`;
+}
+
+/**
+ * Detects singular keys that can't be added to their model: keys equal to an existing field
+ * (including plural keys that can't be singularized) and keys generated twice in one model.
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {{ models: any[] }} datamodel - Datamodel the map was built from
+ * @returns {VirtualRelationDiagnostic[]} The diagnostics, empty when every key is usable
+ */
+export function diagnoseVirtualRelations(virtualRelationsMap, datamodel) {
+    /** @type {VirtualRelationDiagnostic[]} */
+    const diagnostics = [];
+
+    for (const [modelName, relations] of Object.entries(virtualRelationsMap)) {
+        const fieldNames = datamodel.models.find(m => m.name === modelName)?.fields.map(f => f.name) || [];
+        const suggestion = pluralKey =>
+            `Pick another key with \`/// @one2one(name: "...")\` on ${modelName}.${pluralKey} ` +
+            `or \`relations: { ${modelName}: { ${pluralKey}: '...' } }\`, or opt the field out with \`false\`.`;
+
+        for (const { singularKey, pluralKey } of relations) {
+            if (singularKey === pluralKey) {
+                diagnostics.push({
+                    code: 'SINGULAR_EQUALS_PLURAL',
+                    model: modelName,
+                    field: pluralKey,
+                    singularKey,
+                    message: `The singular key of "${pluralKey}" is the field name itself.`,
+                    suggestion: suggestion(pluralKey)
+                });
+            } else if (fieldNames.includes(singularKey)) {
+                diagnostics.push({
+                    code: 'FIELD_COLLISION',
+                    model: modelName,
+                    field: pluralKey,
+                    singularKey,
+                    message: `The singular key "${singularKey}" is already a field of ${modelName}.`,
+                    suggestion: suggestion(pluralKey)
+                });
+            }
+
+            const duplicates = relations.filter(r => r.singularKey === singularKey);
+            if (duplicates.length > 1 && duplicates[0].pluralKey !== pluralKey) {
+                diagnostics.push({
+                    code: 'DUPLICATE_SINGULAR_KEY',
+                    model: modelName,
+                    field: pluralKey,
+                    singularKey,
+                    message: `The singular key "${singularKey}" is also generated for ` +
+                        `"${duplicates[0].pluralKey}".`,
+                    suggestion: suggestion(pluralKey)
+                });
+            }
+        }
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Builds the map of virtual relations and checks it. Relations with a diagnostic are left out,
+ * so that no conflicting field is generated and no real field is overwritten at runtime.
+ * @param {string[]} relationModels - Array of relation models to process
+ * @param {{ models: any[] }} datamodel - Datamodel to walk
+ * @param {{ relations?: RelationOverrides; diagnostics?: 'warn' | 'error' }} [options] - Discovery options
+ * @returns {{ virtualRelationsMap: VirtualRelationsMap; diagnostics: VirtualRelationDiagnostic[] }}
+ */
+export function resolveVirtualRelations(relationModels, datamodel, options = {}) {
+    const { relations, diagnostics: mode = 'warn' } = options;
+    const virtualRelationsMap = findVirtualRelations(relationModels, datamodel, relations);
+    const diagnostics = diagnoseVirtualRelations(virtualRelationsMap, datamodel);
+
+    if (diagnostics.length === 0) {
+        return { virtualRelationsMap, diagnostics };
+    }
+
+    if (mode === 'error') {
+        throw new VirtualRelationDiagnosticsError(diagnostics);
+    }
+
+    diagnostics.forEach(diagnostic => console.warn(`prisma-one2one: ${formatDiagnostic(diagnostic)}`));
+
+    /** @type {VirtualRelationsMap} */
+    const validRelationsMap = {};
+    for (const [modelName, modelRelations] of Object.entries(virtualRelationsMap)) {
+        // Every relation sharing a duplicated key is dropped, since none of them is clearly the intended one
+        const isDiagnosed = relation => diagnostics.some(d => d.model === modelName && (
+            d.field === relation.pluralKey ||
+            (d.code === 'DUPLICATE_SINGULAR_KEY' && d.singularKey === relation.singularKey)
+        ));
+        const validRelations = modelRelations.filter(relation => !isDiagnosed(relation));
+        if (validRelations.length > 0) validRelationsMap[modelName] = validRelations;
+    }
+
+    return { virtualRelationsMap: validRelationsMap, diagnostics };
+}
+
+/**
+ * Lists the unique constraints of a model as the keys accepted by its WhereUniqueInput.
+ * @param {any} modelDef - DMMF model
+ * @returns {{ name: string; fields: string[] }[]} Unique constraints, single-field ones named after their field
+ */
+export function getUniqueConstraints(modelDef) {
+    const constraints = modelDef.fields
+        .filter(f => f.isId || f.isUnique)
+        .map(f => ({ name: f.name, fields: [f.name] }));
+
+    if (modelDef.primaryKey?.fields?.length) {
+        const { name, fields } = modelDef.primaryKey;
+        constraints.push({ name: name || fields.join('_'), fields });
+    }
+
+    const uniqueIndexes = modelDef.uniqueIndexes
+        || (modelDef.uniqueFields || []).map(fields => ({ name: null, fields }));
+    for (const { name, fields } of uniqueIndexes) {
+        constraints.push({ name: name || fields.join('_'), fields });
+    }
+
+    return constraints;
+}
+
+/**
+ * Describes virtual relations as relation manifest entries: the foreign key fields of the related model
+ * pointing back to the parent, and the unique constraint of the related model scoped by them.
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {{ models: any[] }} datamodel - Datamodel the map was built from
+ * @returns {RelationManifestEntry[]} The entries, in model order
+ */
+export function describeVirtualRelations(virtualRelationsMap, datamodel) {
+    const findModel = modelName => datamodel.models.find(m => m.name === modelName);
+
+    return Object.entries(virtualRelationsMap).flatMap(([modelName, relations]) =>
+        relations.map(({ singularKey, pluralKey, relatedModel }) => {
+            const pluralField = findModel(modelName)?.fields.find(f => f.name === pluralKey);
+            const relatedDef = findModel(relatedModel);
+            const backField = relatedDef?.fields.find(f =>
+                f.kind === 'object' && f.type === modelName && f.relationName === pluralField?.relationName
+            );
+            const foreignKeys = backField?.relationFromFields || [];
+            const unique = foreignKeys.length > 0 && relatedDef
+                ? getUniqueConstraints(relatedDef).find(c =>
+                    c.fields.length > foreignKeys.length && foreignKeys.every(field => c.fields.includes(field))
+                )
+                : undefined;
+
+            return {
+                model: modelName,
+                singularKey,
+                pluralKey,
+                relatedModel,
+                foreignKeys,
+                references: backField?.relationToFields || [],
+                unique: unique || null
+            };
+        })
+    );
+}
+
+/**
+ * Thrown when a relation manifest doesn't match the datamodel of the client being patched.
+ */
+export class VirtualRelationManifestError extends Error {
+    /**
+     * @param {string[]} mismatches - What differs, one entry per relation
+     */
+    constructor(mismatches) {
+        super(
+            'The relation manifest does not match the Prisma datamodel, run `prisma-one2one generate` again:\n' +
+            mismatches.map(mismatch => `  - ${mismatch}`).join('\n')
+        );
+        this.name = 'VirtualRelationManifestError';
+        this.mismatches = mismatches;
+    }
+}
+
+/**
+ * Checks a relation manifest written at build time against the live datamodel.
+ * @param {RelationManifest} manifest - Relation manifest
+ * @param {{ models: any[] }} datamodel - Live datamodel
+ * @param {string[]} [relationModels] - Relation models the runtime patch was given
+ * @returns {{ virtualRelationsMap: VirtualRelationsMap; mismatches: string[] }} The relations of the manifest,
+ *   and what differs from the datamodel
+ */
+export function checkRelationManifest(manifest, datamodel, relationModels = []) {
+    /** @type {VirtualRelationsMap} */
+    const virtualRelationsMap = {};
+    for (const { model, singularKey, pluralKey, relatedModel } of manifest.relations || []) {
+        if (!virtualRelationsMap[model]) virtualRelationsMap[model] = [];
+        virtualRelationsMap[model].push({ singularKey, pluralKey, relatedModel });
+    }
+
+    const mismatches = [];
+    const manifestModels = [...(manifest.relationModels || [])].sort().join(', ');
+    if (relationModels.length > 0 && [...relationModels].sort().join(', ') !== manifestModels) {
+        mismatches.push(`relation models ${[...relationModels].sort().join(', ')} differ from the manifest's ${manifestModels}`);
+    }
+
+    for (const entry of manifest.relations || []) {
+        const [live] = describeVirtualRelations({ [entry.model]: [entry] }, datamodel);
+        const name = `${entry.model}.${entry.singularKey}`;
+        const pluralField = datamodel.models.find(m => m.name === entry.model)?.fields.find(f => f.name === entry.pluralKey);
+
+        if (!pluralField || pluralField.kind !== 'object' || !pluralField.isList) {
+            mismatches.push(`${name}: ${entry.model}.${entry.pluralKey} is not a list relation of the datamodel`);
+        } else if (pluralField.type !== entry.relatedModel) {
+            mismatches.push(`${name}: ${entry.model}.${entry.pluralKey} relates to ${pluralField.type}, not ${entry.relatedModel}`);
+        } else {
+            for (const key of ['foreignKeys', 'references', 'unique']) {
+                if (JSON.stringify(live[key]) !== JSON.stringify(entry[key] ?? null)) {
+                    mismatches.push(`${name}: ${key} ${JSON.stringify(entry[key])} in the manifest, ${JSON.stringify(live[key])} in the datamodel`);
+                }
+            }
+        }
+    }
+
+    for (const diagnostic of diagnoseVirtualRelations(virtualRelationsMap, datamodel)) {
+        mismatches.push(`${diagnostic.model}.${diagnostic.singularKey}: ${diagnostic.message}`);
+    }
+
+    return { virtualRelationsMap, mismatches };
+}
+
+/**
+ * Resolves the auto-managed fields of every model: the fields listed for the model or for `'*'`
+ * which the model actually has. Shared by the d.ts patcher (optional in Create inputs) and the
+ * runtime patch (filled when missing). They are filled with the current date, so they must be `DateTime` fields.
+ * @param {ManagedFields | undefined} managedFields - Auto-managed fields by model, `'*'` applying to every model
+ * @param {{ models: any[] }} datamodel - Datamodel to check the fields against
+ * @returns {Record<string, { onCreate: string[]; onUpdate: string[] }>} Fields by model, for the models having any
+ */
+export function resolveManagedFields(managedFields, datamodel) {
+    const resolved = {};
+    if (!managedFields) return resolved;
+
+    for (const model of datamodel.models) {
+        const scalarFields = model.fields.filter(f => f.kind === 'scalar').map(f => f.name);
+        const pick = key => [...new Set([...(managedFields['*']?.[key] || []), ...(managedFields[model.name]?.[key] || [])])]
+            .filter(field => scalarFields.includes(field));
+
+        const onCreate = pick('onCreate');
+        const onUpdate = pick('onUpdate');
+        for (const fieldName of new Set([...onCreate, ...onUpdate])) {
+            const field = model.fields.find(f => f.name === fieldName);
+            if (field.type !== 'DateTime') {
+                throw new Error(`Managed field ${model.name}.${fieldName} must be a DateTime field to be filled with the current date, not ${field.type}`);
+            }
+        }
+        if (onCreate.length > 0 || onUpdate.length > 0) {
+            resolved[model.name] = { onCreate, onUpdate };
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * @typedef {object} ResolvedFlatten
+ * @property {string[]} fields - Scalar fields of the related model merged onto the parent
+ * @property {string} prefix - Prepended to the field names on the parent
+ * @property {Record<string, unknown>} defaults - Values of the fields when the related row is missing (null otherwise)
+ */
+
+/**
+ * Normalizes how a virtual relation is flattened onto its parent: `['metaTitle']` or `{ fields, prefix, defaults }`.
+ * @param {FlattenSpec} spec - Flatten spec of the relation
+ * @param {string} modelName - Model owning the relation
+ * @param {VirtualRelation} relation - Virtual relation to flatten
+ * @param {{ models: any[] }} datamodel - Datamodel to check the fields against
+ * @returns {ResolvedFlatten} The flatten spec with its defaults
+ */
+export function normalizeFlatten(spec, modelName, relation, datamodel) {
+    const { fields, prefix = '', defaults = {} } = Array.isArray(spec) ? { fields: spec } : spec;
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error(`Cannot flatten ${modelName}.${relation.singularKey}: "fields" must list the fields to merge`);
+    }
+
+    const relatedDef = datamodel.models.find(m => m.name === relation.relatedModel);
+    const scalarFields = (relatedDef?.fields || []).filter(f => f.kind === 'scalar' || f.kind === 'enum').map(f => f.name);
+    const unknownFields = fields.filter(field => !scalarFields.includes(field));
+    if (unknownFields.length > 0) {
+        throw new Error(`Cannot flatten ${modelName}.${relation.singularKey}: ${relation.relatedModel} has no scalar field ${unknownFields.join(', ')}`);
+    }
+
+    const diagnostics = diagnoseFlatten({ fields, prefix }, modelName, relation, datamodel);
+    if (diagnostics.length > 0) {
+        throw new VirtualRelationDiagnosticsError(diagnostics);
+    }
+
+    return { fields, prefix, defaults };
+}
+
+/**
+ * Detects flattened fields whose name on the parent, prefix included, is already a field of the parent model:
+ * merging them would overwrite its value (e.g. `flatten: ['id']` without a prefix).
+ * @param {{ fields: string[]; prefix: string }} flatten - Flattened fields and their prefix
+ * @param {string} modelName - Model owning the relation
+ * @param {VirtualRelation} relation - Flattened virtual relation
+ * @param {{ models: any[] }} datamodel - Datamodel of the parent model
+ * @returns {VirtualRelationDiagnostic[]} The diagnostics, empty when every flattened name is free
+ */
+function diagnoseFlatten({ fields, prefix }, modelName, relation, datamodel) {
+    const fieldNames = datamodel.models.find(m => m.name === modelName)?.fields.map(f => f.name) || [];
+
+    return fields.filter(field => fieldNames.includes(prefix + field)).map(field => ({
+        code: 'FLATTEN_COLLISION',
+        model: modelName,
+        field: relation.pluralKey,
+        singularKey: relation.singularKey,
+        message: `The flattened field "${prefix + field}" is already a field of ${modelName}.`,
+        suggestion: `Set a \`prefix\` in the flatten spec of ${modelName}.${relation.singularKey}, or leave ${field} out.`
+    }));
+}
+
+/**
+ * Resolves the model-level flatten config against the virtual relations. Shared by the d.ts patcher
+ * (flattened result types) and the runtime patch (default of includes without a `flatten`).
+ * @param {FlattenConfig | undefined} flatten - Flatten specs by model and singular key
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {{ models: any[] }} datamodel - Datamodel to check the fields against
+ * @returns {Record<string, Record<string, ResolvedFlatten>>} Flatten specs by model and singular key
+ */
+export function resolveFlattenedRelations(flatten, virtualRelationsMap, datamodel) {
+    const resolved = {};
+    if (!flatten) return resolved;
+
+    for (const [modelName, specs] of Object.entries(flatten)) {
+        for (const [singularKey, spec] of Object.entries(specs)) {
+            if (!spec) continue;
+
+            const relation = virtualRelationsMap[modelName]?.find(r => r.singularKey === singularKey);
+            if (!relation) {
+                throw new Error(`Cannot flatten ${modelName}.${singularKey}: not a virtual relation`);
+            }
+
+            resolved[modelName] = { ...resolved[modelName], [singularKey]: normalizeFlatten(spec, modelName, relation, datamodel) };
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * @typedef {object} VirtualRelationLint
+ * @property {string} model - Model owning the relation
+ * @property {string} singularKey - Singular key of the relation
+ * @property {string} relatedModel - Model the relation points to
+ * @property {string[]} foreignKeys - Fields of the related model referencing the parent
+ * @property {{ name: string; fields: string[] } | null} unique - Unique constraint of the related model including the foreign keys
+ * @property {string[] | null} whereFields - Fields a where must set to match a single row, null when no unique constraint guarantees one
+ * @property {{ name: string; fields: string[] }[]} indexes - Non-unique indexes including the foreign keys, listed when there is no unique one
+ * @property {string | null} warning - Why the relation may match several rows
+ */
+
+/**
+ * Lists the non-unique indexes of a model, from the parsed schema or from the DMMF's top-level `indexes`.
+ * @param {any} modelDef - Model definition
+ * @param {{ models: any[]; indexes?: any[] }} datamodel - Datamodel of the model
+ * @returns {{ name: string; fields: string[] }[]} The indexes, named after their fields when the schema doesn't name them
+ */
+function getIndexes(modelDef, datamodel) {
+    const indexes = modelDef.indexes || (datamodel.indexes || [])
+        .filter(index => index.model === modelDef.name && index.type === 'normal')
+        .map(index => ({ name: index.dbName || null, fields: index.fields.map(field => field.name) }));
+
+    return indexes.map(({ name, fields }) => ({ name: name || fields.join('_'), fields }));
+}
+
+/**
+ * Checks that virtual relations are really one-to-one: the related model needs a unique constraint including
+ * the foreign keys, whose other fields a where must set (e.g. `langId` for `@@unique([brandId, langId])`).
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {{ models: any[]; indexes?: any[] }} datamodel - Datamodel the map was built from
+ * @returns {VirtualRelationLint[]} One entry by relation, in model order
+ */
+export function lintVirtualRelations(virtualRelationsMap, datamodel) {
+    return describeVirtualRelations(virtualRelationsMap, datamodel).map(({ model, singularKey, relatedModel, foreignKeys, unique }) => {
+        const lint = { model, singularKey, relatedModel, foreignKeys, unique, whereFields: null, indexes: [], warning: null };
+
+        if (unique) {
+            return { ...lint, whereFields: unique.fields.filter(field => !foreignKeys.includes(field)) };
+        }
+
+        const relatedDef = datamodel.models.find(m => m.name === relatedModel);
+        const indexes = relatedDef && foreignKeys.length > 0
+            ? getIndexes(relatedDef, datamodel).filter(index => foreignKeys.every(field => index.fields.includes(field)))
+            : [];
+        const suggestion = indexes.length > 0
+            ? `; make the index ${indexes[0].name} (${indexes[0].fields.join(', ')}) @@unique`
+            : `; add an @@unique([${foreignKeys.join(', ') || '...'}, ...]) to ${relatedModel}`;
+
+        return {
+            ...lint,
+            indexes,
+            warning: `${model}.${singularKey}: no unique constraint of ${relatedModel} includes ${foreignKeys.join(', ') || 'its foreign keys'}, ` +
+                `so it may match several rows${suggestion}`
+        };
+    });
+}
@@ -8,15 +8,237 @@ export interface VirtualRelationsMap {
     [modelName: string]: VirtualRelation[];
 }
 
+/**
+ * Per-field overrides of virtual relation discovery, by model and list relation field:
+ * `false` opts the field out, `true` opts it in, a string (or `{ name }`) also picks the singular key.
+ * They take precedence over `/// @one2one(...)` schema annotations.
+ */
+export interface RelationOverrides {
+    [modelName: string]: {
+        [pluralKey: string]: boolean | string | { enabled?: boolean; name?: string };
+    };
+}
+
+/**
+ * Auto-managed fields by model, `'*'` applying to every model having them: `onCreate` fields are filled
+ * with the current date on create when missing, `onUpdate` ones on update. Fields a model doesn't have are ignored,
+ * the ones it has must be `DateTime` fields.
+ */
+export interface ManagedFields {
+    [modelName: string]: {
+        onCreate?: string[];
+        onUpdate?: string[];
+    };
+}
+
+/**
+ * Scalar fields of a virtual relation merged onto the parent instead of the related row: the field names,
+ * or with a `prefix` prepended to them on the parent and `defaults` used when the row is missing (null otherwise).
+ */
+export type FlattenSpec = string[] | {
+    fields: string[];
+    prefix?: string;
+    defaults?: { [field: string]: unknown };
+};
+
+/**
+ * Relations flattened whenever they are included without their own `flatten`, by model and singular key,
+ * e.g. `{ Brand: { brandLang: ['metaTitle'] } }`.
+ */
+export interface FlattenConfig {
+    [modelName: string]: {
+        [singularKey: string]: FlattenSpec | false;
+    };
+}
+
+export interface VirtualRelationDiagnostic {
+    code: 'SINGULAR_EQUALS_PLURAL' | 'FIELD_COLLISION' | 'DUPLICATE_SINGULAR_KEY' | 'FLATTEN_COLLISION' | 'FLATTEN_UNTYPED';
+    model: string;
+    /** The list relation field the singular key was generated from. */
+    field: string;
+    singularKey: string;
+    message: string;
+    suggestion: string;
+}
+
+export declare class VirtualRelationDiagnosticsError extends Error {
+    name: 'VirtualRelationDiagnosticsError';
+    diagnostics: VirtualRelationDiagnostic[];
+    constructor(diagnostics: VirtualRelationDiagnostic[]);
+}
+
+/**
+ * A virtual relation as recorded in the relation manifest (`one2one.json`), written next to the
+ * generated client by the d.ts patcher.
+ */
+export interface RelationManifestEntry extends VirtualRelation {
+    model: string;
+    /** Fields of the related model referencing the parent, e.g. `['brandId']`. */
+    foreignKeys: string[];
+    /** Fields of the parent they reference, e.g. `['id']`. */
+    references: string[];
+    /** Unique constraint of the related model including the foreign keys, e.g. `brandId_langId`. */
+    unique: { name: string; fields: string[] } | null;
+}
+
+export interface RelationManifest {
+    version: string;
+    relationModels: string[];
+    schemaHash: string;
+    relations: RelationManifestEntry[];
+}
+
+export declare class VirtualRelationManifestError extends Error {
+    name: 'VirtualRelationManifestError';
+    mismatches: string[];
+    constructor(mismatches: string[]);
+}
+
 export interface PrismaModule {
     Prisma: any;
 }
 
-export type PatchedPrismaClient<T> = T;
+/**
+ * Request-scoped values used as default filters of virtual singular includes, e.g. `{ langId: 2 }`.
+ */
+export interface RelationContext {
+    [contextKey: string]: unknown;
+}
+
+export interface RuntimeRelationPatchOptions {
+    /**
+     * Opt list relation fields in or out of virtual relations and pick their singular key.
+     * Pass the same object to the d.ts patcher so types and runtime stay aligned.
+     */
+    relations?: RelationOverrides;
+    /**
+     * How singular keys colliding with a field or with each other are handled: `'warn'` (default)
+     * logs them and leaves the relations out, `'error'` throws a `VirtualRelationDiagnosticsError`.
+     */
+    diagnostics?: 'warn' | 'error';
+    /**
+     * Datamodel to discover relations from, shaped like `Prisma.dmmf.datamodel`. Defaults to
+     * `Prisma.dmmf`, or to the client's runtime data model when the `prisma-client` generator
+     * doesn't expose it (which has no `///` documentation, so `@one2one` annotations are not seen).
+     * Required with the edge and client engine runtimes, whose runtime data model is pruned.
+     */
+    datamodel?: { models: any[] };
+    /**
+     * Parsed content of the relation manifest written next to the generated client (`one2one.json`).
+     * The virtual relations are then read from it rather than discovered again, so they are the ones the
+     * types were generated for; a `VirtualRelationManifestError` is thrown when it doesn't match the
+     * datamodel. Paths are not accepted: the runtime patch doesn't read files, so that it runs on edge
+     * and wasm runtimes.
+     */
+    manifest?: RelationManifest;
+    /**
+     * Fields filled with the current date when a create, update, upsert or createMany doesn't set them,
+     * e.g. `{ '*': { onCreate: ['date_add', 'date_upd'], onUpdate: ['date_upd'] } }`.
+     * Pass the same object to the d.ts patcher, which makes the `onCreate` fields optional.
+     */
+    managedFields?: ManagedFields;
+    /**
+     * Virtual relations merged onto their parent when included, like the `flatten` include option.
+     * Pass the same object to the d.ts patcher with `output: 'augment'` so the result types match.
+     */
+    flatten?: FlattenConfig;
+    /**
+     * Fetch two rows for every virtual singular relation and throw a
+     * `VirtualRelationAmbiguityError` when more than one matches. Includes whose where doesn't set
+     * the fields of the related model's unique constraint (besides the foreign keys) throw a
+     * `VirtualRelationWhereError` before running the query.
+     */
+    strict?: boolean;
+    /**
+     * Add an `orderBy` on the related model's primary key when the relation has none,
+     * so the returned row is stable across queries.
+     */
+    deterministicOrder?: boolean;
+    /**
+     * Maps columns of a related model to relation context keys, e.g.
+     * `{ ProductShop: { id_shop: 'shopId' } }`. Models without a mapping
+     * match context keys against columns of the same name.
+     */
+    contextMappings?: {
+        [relatedModel: string]: { [column: string]: string };
+    };
+}
+
+export declare function withRelationContext<T>(context: RelationContext, fn: () => T): T;
+
+export declare function getRelationContext(): RelationContext | undefined;
+
+export declare class VirtualRelationAmbiguityError extends Error {
+    name: 'VirtualRelationAmbiguityError';
+    model: string;
+    relatedModel: string;
+    singularKey: string;
+    path: string;
+    where?: object;
+    constructor(details: { model: string; relation: VirtualRelation; path: string; where?: object });
+}
+
+export declare class VirtualRelationWhereError extends Error {
+    name: 'VirtualRelationWhereError';
+    model: string;
+    relatedModel: string;
+    singularKey: string;
+    /** Fields of the unique constraint the where doesn't set to a single value, e.g. `['langId']`. */
+    missingFields: string[];
+    where?: object;
+    constructor(details: { model: string; relation: VirtualRelation; missingFields: string[]; where?: object });
+}
+
+/**
+ * Query extension built by `createRuntimeRelationExtension`, to be passed to `client.$extends`.
+ */
+export interface RuntimeRelationExtension {
+    name: 'prisma-one2one';
+    query: {
+        $allModels: {
+            $allOperations(params: {
+                model: string;
+                operation: string;
+                args: any;
+                query: (args: any) => Promise<any>;
+            }): Promise<any>;
+        };
+    };
+}
+
+/**
+ * Filled by the `one2one.d.ts` type augmentation (`output: 'augment'` in the d.ts patcher) with
+ * a `client` member wrapping the model delegates, so patched clients infer virtual relations.
+ */
+export interface One2OneTypes<T> {}
+
+/**
+ * A query extension leaves the model delegates untouched, so the extended client keeps the
+ * original surface minus the members Prisma removes from extended clients (`$use`, `$on`).
+ * Legacy clients without `$extends` are patched in place through `$use` and keep their type.
+ */
+type ExtendedPrismaClient<T> = T extends { $extends: (...args: any[]) => any }
+    ? Omit<T, '$use' | '$on'>
+    : T;
+
+export type PatchedPrismaClient<T> = One2OneTypes<ExtendedPrismaClient<T>> extends { client: infer C }
+    ? C
+    : ExtendedPrismaClient<T>;
+
+/**
+ * Returns the extension wrapped by `Prisma.defineExtension` when the Prisma module has it, i.e. a function of
+ * the client being extended: always the case without a static datamodel, which is read from that client.
+ */
+export declare function createRuntimeRelationExtension(
+    RELATION_MODELS: string[],
+    prismaModule: PrismaModule,
+    options?: RuntimeRelationPatchOptions,
+): RuntimeRelationExtension | ((client: any) => any);
 
 declare function applyRuntimeRelationPatch(
     RELATION_MODELS: string[],
     prismaModule: PrismaModule,
+    options?: RuntimeRelationPatchOptions,
 ): <T>(client: T) => PatchedPrismaClient<T>;
 
 export default applyRuntimeRelationPatch;
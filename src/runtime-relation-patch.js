@@ -1,320 +1,1210 @@
-/**@import { VirtualRelationsMap } from "./runtime-relation-patch" */
+/**@import { VirtualRelation, VirtualRelationsMap, RuntimeRelationPatchOptions, RelationContext } from "./runtime-relation-patch" */
+/**@import { ResolvedFlatten } from './relation-rules.js' */
+import { AsyncLocalStorage } from 'async_hooks';
+export { VirtualRelationDiagnosticsError, VirtualRelationManifestError } from './relation-rules.js';
+import {
+    resolveVirtualRelations,
+    getUniqueConstraints,
+    checkRelationManifest,
+    resolveManagedFields,
+    normalizeFlatten,
+    resolveFlattenedRelations,
+    lintVirtualRelations,
+    VirtualRelationManifestError
+} from './relation-rules.js';
+
+/** @type {AsyncLocalStorage<RelationContext>} */
+const relationContextStorage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a relation context (e.g. the current language or shop). Virtual singular
+ * relations included inside it are filtered on the matching foreign keys. Nested contexts are merged.
+ * @template T
+ * @param {RelationContext} context - Values by context key, e.g. `{ langId: 2, shopId: 1 }`
+ * @param {() => T} fn - Function to run within the context
+ * @returns {T} The function result
+ */
+export function withRelationContext(context, fn) {
+    return relationContextStorage.run({ ...relationContextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Gets the relation context of the current async scope.
+ * @returns {RelationContext | undefined} The current context, if any
+ */
+export function getRelationContext() {
+    return relationContextStorage.getStore();
+}
 
 /**
- * Gets the singular form of an English word from its plural form.
- * @param {string} plural - The plural form of the word
- * @returns {string} The singular form of the word
+ * Thrown in strict mode when a virtual singular relation matches more than one row.
  */
-function getSingularForm(plural) {
-    // No need to process if the word is already singular
-    if (!plural.endsWith('s')) {
-        return plural;
+export class VirtualRelationAmbiguityError extends Error {
+    /**
+     * @param {{ model: string; relation: VirtualRelation; path: string; where?: object }} details
+     */
+    constructor({ model, relation, path, where }) {
+        super(
+            `Virtual relation ${model}.${relation.singularKey} (${relation.relatedModel}) matched more than one row ` +
+            `at "${path}" with filter ${JSON.stringify(where ?? {})}`
+        );
+        this.name = 'VirtualRelationAmbiguityError';
+        this.model = model;
+        this.relatedModel = relation.relatedModel;
+        this.singularKey = relation.singularKey;
+        this.path = path;
+        this.where = where;
     }
+}
 
-    // Handle common irregular plural patterns
-    if (plural.endsWith('ies')) {
-        // Categories -> Category, Groceries -> Grocery
-        return plural.slice(0, -3) + 'y';
-    } else if (plural.endsWith('es') &&
-        (plural.endsWith('xes') || plural.endsWith('ses') ||
-            plural.endsWith('ches') || plural.endsWith('shes') ||
-            plural.endsWith('zes'))) {
-        // Taxes -> Tax, Boxes -> Box, Glasses -> Glass, Dishes -> Dish, etc.
-        return plural.slice(0, -2);
-    } else {
-        // Regular plural: just remove the 's'
-        return plural.slice(0, -1);
+/**
+ * Thrown in strict mode, before running the query, when the where of a virtual singular relation doesn't set
+ * every field of the related model's unique constraint besides the foreign keys.
+ */
+export class VirtualRelationWhereError extends Error {
+    /**
+     * @param {{ model: string; relation: VirtualRelation; missingFields: string[]; where?: object }} details
+     */
+    constructor({ model, relation, missingFields, where }) {
+        super(
+            `Virtual relation ${model}.${relation.singularKey} (${relation.relatedModel}) may match more than one row: ` +
+            `its where must set ${missingFields.join(', ')}, got ${JSON.stringify(where ?? {})}`
+        );
+        this.name = 'VirtualRelationWhereError';
+        this.model = model;
+        this.relatedModel = relation.relatedModel;
+        this.singularKey = relation.singularKey;
+        this.missingFields = missingFields;
+        this.where = where;
     }
 }
 
 /**
- * Generates the map of virtual relations by analyzing the database schema
- * @param {string[]} relationModels - Array of relation models to process
+ * Reads the datamodel without a client: the `datamodel` option, then `Prisma.dmmf` (`prisma-client-js`).
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {RuntimeRelationPatchOptions} options - Runtime behaviour options
+ * @returns {{ models: any[] } | undefined} The datamodel, or undefined when only a client can provide it
+ */
+function getStaticDatamodel(prismaModule, options) {
+    return options.datamodel || prismaModule.Prisma?.dmmf?.datamodel;
+}
+
+/**
+ * Binds the datamodel to the Prisma module. The `prisma-client` generator no longer exposes
+ * `Prisma.dmmf`, so the datamodel is then read from the client's runtime data model.
  * @param {object} prismaModule - Prisma module with namespace
+ * @param {RuntimeRelationPatchOptions} options - Runtime behaviour options
+ * @param {any} [client] - Prisma client instance
+ * @returns {object} The Prisma module with a `datamodel` and its `modelIndex`
+ */
+function withDatamodel(prismaModule, options, client) {
+    let datamodel = getStaticDatamodel(prismaModule, options);
+
+    const runtimeModels = client?._runtimeDataModel?.models;
+    if (!datamodel && runtimeModels) {
+        // The client engine and edge runtimes prune the runtime data model of the list flags and unique
+        // indexes relations are resolved from: reading it would silently find no relation
+        const isPruned = Object.values(runtimeModels).some(model =>
+            !Array.isArray(model.uniqueIndexes) || model.fields.some(field => field.isList === undefined)
+        );
+        if (isPruned) {
+            throw new Error(
+                'Unable to read the Prisma datamodel: the client\'s runtime data model is pruned by this Prisma runtime ' +
+                '(fields have no isList, models no uniqueIndexes). Pass the `datamodel` option, shaped like `Prisma.dmmf.datamodel`.'
+            );
+        }
+
+        // Models are keyed by name in the runtime data model
+        datamodel = { models: Object.entries(runtimeModels).map(([name, model]) => ({ name, ...model })) };
+    }
+
+    if (!datamodel) {
+        throw new Error(
+            'Unable to read the Prisma datamodel: Prisma.dmmf is not exposed and no client was given. ' +
+            'Pass the `datamodel` option or patch a client instance.'
+        );
+    }
+
+    return { ...prismaModule, datamodel, modelIndex: buildModelIndex(datamodel) };
+}
+
+/**
+ * Indexes the models of a datamodel and their fields by name, so that walking queries and results
+ * doesn't scan the datamodel for every key.
+ * @param {{ models: any[] }} datamodel - Datamodel to index
+ * @returns {Map<string, { model: any; fields: Map<string, any> }>} Models with their fields, by name
+ */
+function buildModelIndex(datamodel) {
+    return new Map(datamodel.models.map(model => [
+        model.name,
+        { model, fields: new Map(model.fields.map(field => [field.name, field])) }
+    ]));
+}
+
+/**
+ * Generates the map of virtual relations by analyzing the database schema, or reads it from the relation manifest
+ * written next to the generated client.
+ * @param {string[]} relationModels - Array of relation models to process
+ * @param {object} prismaModule - Prisma module with namespace and datamodel
+ * @param {RuntimeRelationPatchOptions} options - Discovery options (`relations`, `diagnostics`, `manifest`)
  * @returns {VirtualRelationsMap} Map of virtual relations by model
  */
-function generateRelationsMap(relationModels, prismaModule) {
-    const datamodel = prismaModule.Prisma.dmmf.datamodel;
-    /** @type {VirtualRelationsMap} */
-    const virtualRelationsMap = {};
-
-    // Statistics counters
-    let modelsProcessed = 0;
-    let relationsFound = 0;
-    const relationCounts = {};
-    relationModels.forEach((model) => (relationCounts[model] = 0));
-
-    for (const model of datamodel.models) {
-        const modelName = model.name;
-        const relations = [];
-        modelsProcessed++;
-
-        // Search for relation fields (arrays) that match our relation models
-        for (const field of model.fields) {
-            // Check if it's an array field and its type ends with one of our relation models
-            if (field.kind === 'object' && field.isList) {
-                const fieldName = field.name;
-                const fieldType = field.type;
-
-                // Check if the field type contains one of our relation models
-                const matchingModel = relationModels.find((model) =>
-                    fieldType.endsWith(model)
-                );
-
-                if (matchingModel) {
-                    // Get the singular key using our pluralization helper
-                    const singularKey = getSingularForm(fieldName);
-                    const pluralKey = fieldName;
-
-                    // The related model is the field type (e.g., "ProductLang")
-                    const relatedModel = fieldType;
-
-                    // Add the relation to the list
-                    relations.push({
-                        singularKey,
-                        pluralKey,
-                        relatedModel
-                    });
-
-                    relationsFound++;
-                    relationCounts[matchingModel]++;
+function generateRelationsMap(relationModels, prismaModule, options) {
+    if (!options.manifest) {
+        return resolveVirtualRelations(relationModels, prismaModule.datamodel, options).virtualRelationsMap;
+    }
+
+    // The manifest holds the relations the types were generated for: use them as is, once checked
+    // Read by the caller: reading files here would tie the runtime to Node (edge and wasm bundles have no fs)
+    const manifest = options.manifest;
+    if (typeof manifest !== 'object') {
+        throw new TypeError('The `manifest` option takes the parsed content of one2one.json, e.g. imported as JSON');
+    }
+    const { virtualRelationsMap, mismatches } = checkRelationManifest(manifest, prismaModule.datamodel, relationModels);
+
+    if (mismatches.length > 0) {
+        throw new VirtualRelationManifestError(mismatches);
+    }
+
+    return virtualRelationsMap;
+}
+
+/**
+ * Finds a model in the datamodel.
+ * @param {object} prismaModule - Prisma module with namespace and datamodel
+ * @param {string} modelName - Model to find
+ * @returns {any} The DMMF model, or undefined when unknown
+ */
+function findModel(prismaModule, modelName) {
+    return prismaModule.modelIndex.get(modelName)?.model;
+}
+
+/**
+ * Finds a field of a model in the datamodel.
+ * @param {object} prismaModule - Prisma module with namespace and datamodel
+ * @param {string} modelName - Model owning the field
+ * @param {string} fieldName - Field to find
+ * @returns {any} The DMMF field, or undefined when unknown
+ */
+function findField(prismaModule, modelName, fieldName) {
+    return prismaModule.modelIndex.get(modelName)?.fields.get(fieldName);
+}
+
+/**
+ * Builds a stable `orderBy` on the primary key of a model.
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {string} modelName - Model to order
+ * @returns {Record<string, 'asc'>[] | null} The orderBy clause, or null when the model has no primary key
+ */
+function getPrimaryKeyOrderBy(prismaModule, modelName) {
+    const modelDef = findModel(prismaModule, modelName);
+    if (!modelDef) return null;
+
+    const idFields = modelDef.fields.filter(f => f.isId).map(f => f.name);
+    const keyFields = idFields.length > 0 ? idFields : (modelDef.primaryKey?.fields || []);
+
+    return keyFields.length > 0 ? keyFields.map(field => ({ [field]: 'asc' })) : null;
+}
+
+/**
+ * Converts a to-one relation filter (`{ is }`, `{ isNot }`, a plain where input or null)
+ * into the equivalent list relation filters (`{ some }` / `{ none }`).
+ * @param {any} filter - The filter written against the virtual singular key
+ * @returns {{ operator: 'some' | 'none'; where: object }[]} The list filters, combined with AND
+ */
+function toListRelationFilters(filter) {
+    if (filter === null) {
+        return [{ operator: 'none', where: {} }];
+    }
+
+    if (typeof filter !== 'object' || !('is' in filter || 'isNot' in filter)) {
+        return [{ operator: 'some', where: filter }];
+    }
+
+    const filters = [];
+    if ('is' in filter && filter.is !== undefined) {
+        filters.push(filter.is === null ? { operator: 'none', where: {} } : { operator: 'some', where: filter.is });
+    }
+    if ('isNot' in filter && filter.isNot !== undefined) {
+        filters.push(filter.isNot === null ? { operator: 'some', where: {} } : { operator: 'none', where: filter.isNot });
+    }
+    return filters;
+}
+
+/**
+ * Rewrites filters on virtual singular relations into filters on their plural relations,
+ * walking AND/OR/NOT trees and relation filters on other models.
+ * @param {any} where - The where input to process
+ * @param {string} modelName - Model the where input applies to
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {object} prismaModule - Prisma module with namespace
+ * @returns {any} The processed where input (the original one when nothing changed)
+ */
+function processWhere(where, modelName, virtualRelationsMap, prismaModule) {
+    if (!where || typeof where !== 'object') return where;
+
+    if (Array.isArray(where)) {
+        const processed = where.map(item => processWhere(item, modelName, virtualRelationsMap, prismaModule));
+        return processed.some((item, idx) => item !== where[idx]) ? processed : where;
+    }
+
+    const transformedWhere = { ...where };
+    let modified = false;
+
+    // Replace filters on virtual singular relations
+    for (const { singularKey, pluralKey, relatedModel } of virtualRelationsMap[modelName] || []) {
+        if (!(singularKey in transformedWhere)) continue;
+
+        const filter = transformedWhere[singularKey];
+        delete transformedWhere[singularKey];
+        modified = true;
+
+        if (filter === undefined) continue;
+
+        const conditions = toListRelationFilters(filter).map(({ operator, where: relatedWhere }) => ({
+            [pluralKey]: { [operator]: processWhere(relatedWhere, relatedModel, virtualRelationsMap, prismaModule) }
+        }));
+
+        // A single condition on a free key is inlined, anything else is appended to AND
+        if (conditions.length === 1 && !(pluralKey in transformedWhere)) {
+            Object.assign(transformedWhere, conditions[0]);
+        } else if (conditions.length > 0) {
+            const existingAnd = transformedWhere.AND === undefined
+                ? []
+                : Array.isArray(transformedWhere.AND) ? transformedWhere.AND : [transformedWhere.AND];
+            transformedWhere.AND = [...existingAnd, ...conditions];
+        }
+    }
+
+    for (const [key, value] of Object.entries(transformedWhere)) {
+        if (!value || typeof value !== 'object') continue;
+
+        let processedValue = value;
+        if (key === 'AND' || key === 'OR' || key === 'NOT') {
+            processedValue = processWhere(value, modelName, virtualRelationsMap, prismaModule);
+        } else {
+            // Relation filters on real relations: recurse with the related model
+            const field = findField(prismaModule, modelName, key);
+            if (!field || field.kind !== 'object') continue;
+
+            const operators = field.isList ? ['some', 'every', 'none'] : ['is', 'isNot'];
+            if (operators.some(operator => operator in value)) {
+                for (const operator of operators) {
+                    if (!(operator in value)) continue;
+
+                    const processedFilter = processWhere(value[operator], field.type, virtualRelationsMap, prismaModule);
+                    if (processedFilter !== value[operator]) {
+                        processedValue = { ...processedValue, [operator]: processedFilter };
+                    }
                 }
+            } else if (!field.isList) {
+                // To-one relations also accept the related where input directly
+                processedValue = processWhere(value, field.type, virtualRelationsMap, prismaModule);
             }
         }
 
-        // If we found relations for this model, add them to the map
-        if (relations.length > 0) {
-            virtualRelationsMap[modelName] = relations;
+        if (processedValue !== value) {
+            transformedWhere[key] = processedValue;
+            modified = true;
         }
     }
 
-    // Format count log
-    const countDetails = relationModels.map(
-        (model) => `${relationCounts[model]} ${model}`
-    ).join(', ');
+    return modified ? transformedWhere : where;
+}
 
-    return virtualRelationsMap;
+/**
+ * Collects the scalar values identifying a record from a where/data input,
+ * unfolding compound unique keys such as `brandId_langId`.
+ * @param {any} input - Where or data input
+ * @param {any} modelDef - DMMF model the input applies to
+ * @returns {Record<string, any>} Scalar values by field name
+ */
+function getRecordKeys(input, modelDef) {
+    const recordKeys = {};
+    if (!input || typeof input !== 'object' || !modelDef) return recordKeys;
+
+    const compoundKeys = getUniqueConstraints(modelDef).filter(c => c.fields.length > 1);
+    const isScalarValue = value => value !== null && (typeof value !== 'object' || value instanceof Date);
+
+    for (const [key, value] of Object.entries(input)) {
+        const compoundKey = compoundKeys.find(c => c.name === key);
+        if (compoundKey && value && typeof value === 'object') {
+            for (const field of compoundKey.fields) {
+                if (isScalarValue(value[field])) recordKeys[field] = value[field];
+            }
+        } else if (isScalarValue(value)) {
+            recordKeys[key] = value;
+        }
+    }
+
+    return recordKeys;
 }
 
 /**
- * Create a function that applies the middleware for virtual relations
- * @param {string[]} relationModels - Array of relation models to process
+ * Turns the filter of a virtual singular write into a WhereUniqueInput of the related model,
+ * completing it with the parent's foreign key values (e.g. `{ langId: 1 }` becomes
+ * `{ brandId_langId: { brandId: 3, langId: 1 } }`), then with the relation context when they don't suffice.
+ * @param {any} where - Filter written against the virtual relation
+ * @param {string} modelName - Parent model
+ * @param {VirtualRelation} relation - The virtual relation being written
+ * @param {Record<string, any>} recordKeys - Known scalar values of the parent record
  * @param {object} prismaModule - Prisma module with namespace
- * @returns {function} Function that takes a Prisma client and extends it with the middleware
+ * @param {Record<string, any>} [contextFilter] - Values the relation context sets on the related model
+ * @returns {object} The unique where input
  */
-export default function applyRuntimeRelationPatch(relationModels, prismaModule) {
-    /** @type {VirtualRelationsMap} */
-    const virtualRelationsMap = generateRelationsMap(relationModels, prismaModule);
+function buildUniqueWhere(where, modelName, relation, recordKeys, prismaModule, contextFilter = {}) {
+    const { singularKey, pluralKey, relatedModel } = relation;
+    const relatedDef = findModel(prismaModule, relatedModel);
+    const constraints = relatedDef ? getUniqueConstraints(relatedDef) : [];
+    const filter = where && typeof where === 'object' ? where : {};
 
-    return (client) => {
-        if (!client || typeof client.$use !== 'function') {
-            return client;
+    // Already a unique input
+    if (constraints.some(c => c.name in filter)) {
+        return filter;
+    }
+
+    // Foreign key values pointing back to the parent record
+    const pluralField = findField(prismaModule, modelName, pluralKey);
+    const backField = relatedDef?.fields.find(f =>
+        f.kind === 'object' && f.type === modelName && f.relationName === pluralField?.relationName
+    );
+    const foreignKeys = {};
+    (backField?.relationFromFields || []).forEach((fromField, idx) => {
+        const value = recordKeys[backField.relationToFields[idx]];
+        if (value !== undefined) foreignKeys[fromField] = value;
+    });
+
+    const isScoped = c => c.fields.some(field => field in foreignKeys);
+    const orderedConstraints = [...constraints.filter(isScoped), ...constraints.filter(c => !isScoped(c))];
+    const findConstraint = values => orderedConstraints.find(c => c.fields.every(field => values[field] !== undefined));
+
+    // The context only fills the fields the where leaves out, e.g. the language of `update: { metaTitle }`
+    let values = { ...foreignKeys, ...getRecordKeys(filter, relatedDef) };
+    let constraint = findConstraint(values);
+    if (!constraint) {
+        values = { ...contextFilter, ...values };
+        constraint = findConstraint(values);
+    }
+
+    if (!constraint) {
+        const expected = constraints.map(c => `[${c.fields.join(', ')}]`).join(', ') || 'none';
+        throw new Error(
+            `Cannot resolve a unique ${relatedModel} for ${modelName}.${singularKey} from ${JSON.stringify(filter)} ` +
+            `(known parent keys: ${JSON.stringify(recordKeys)}, relation context: ${JSON.stringify(contextFilter)}, ` +
+            `unique constraints: ${expected}); set the missing fields in its where or with withRelationContext`
+        );
+    }
+
+    if (constraint.fields.length === 1) {
+        return { [constraint.fields[0]]: values[constraint.fields[0]] };
+    }
+
+    return {
+        [constraint.name]: Object.fromEntries(constraint.fields.map(field => [field, values[field]]))
+    };
+}
+
+/**
+ * Converts a nested write on a virtual singular relation into the equivalent write on its plural relation.
+ * @param {any} write - Nested write written against the virtual singular key
+ * @param {string} modelName - Parent model
+ * @param {VirtualRelation} relation - The virtual relation being written
+ * @param {Record<string, any>} recordKeys - Known scalar values of the parent record
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {(relatedModel: string) => Record<string, any>} contextFilterOf - Values the relation context sets on a model
+ * @returns {object} The nested write for the plural key
+ */
+function toListNestedWrite(write, modelName, relation, recordKeys, prismaModule, contextFilterOf) {
+    const toUniqueWhere = where =>
+        buildUniqueWhere(where, modelName, relation, recordKeys, prismaModule, contextFilterOf(relation.relatedModel));
+    const listWrite = {};
+
+    for (const [operation, value] of Object.entries(write || {})) {
+        if (value === undefined) continue;
+
+        switch (operation) {
+            case 'create':
+                listWrite.create = value;
+                break;
+            case 'connect':
+            case 'disconnect':
+            case 'delete':
+                listWrite[operation] = toUniqueWhere(value === true ? {} : value);
+                break;
+            case 'connectOrCreate':
+                listWrite.connectOrCreate = { where: toUniqueWhere(value.where), create: value.create };
+                break;
+            case 'upsert':
+                listWrite.upsert = { where: toUniqueWhere(value.where), create: value.create, update: value.update };
+                break;
+            case 'update': {
+                // To-one updates accept either `{ where?, data }` or the data itself
+                const isWrapped = 'data' in value && !findField(prismaModule, relation.relatedModel, 'data');
+                listWrite.update = isWrapped
+                    ? { where: toUniqueWhere(value.where), data: value.data }
+                    : { where: toUniqueWhere({}), data: value };
+                break;
+            }
+            default:
+                throw new Error(`Unsupported nested write "${operation}" on virtual relation ${modelName}.${relation.singularKey}`);
+        }
+    }
+
+    return listWrite;
+}
+
+/**
+ * Rewrites nested writes on virtual singular relations into writes on their plural relations,
+ * walking nested writes on real relations as well.
+ * @param {any} data - Create/update data
+ * @param {string} modelName - Model the data applies to
+ * @param {Record<string, any>} recordKeys - Known scalar values of the record being written
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {(relatedModel: string) => Record<string, any>} contextFilterOf - Values the relation context sets on a model
+ * @returns {any} The processed data (the original one when nothing changed)
+ */
+function processData(data, modelName, recordKeys, virtualRelationsMap, prismaModule, contextFilterOf) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+    const transformedData = { ...data };
+    let modified = false;
+
+    for (const relation of virtualRelationsMap[modelName] || []) {
+        const { singularKey, pluralKey } = relation;
+        if (!(singularKey in transformedData)) continue;
+
+        const write = transformedData[singularKey];
+        delete transformedData[singularKey];
+        modified = true;
+
+        if (write === undefined) continue;
+        if (pluralKey in transformedData) {
+            throw new Error(`Cannot write ${modelName}.${singularKey} and ${modelName}.${pluralKey} in the same operation`);
         }
 
-        client.$use(async (params, next) => {
-            // Intercept only find operations with include
-            const allowedActions = ['findUnique', 'findFirst', 'findMany', 'findUniqueOrThrow', 'findFirstOrThrow'];
-            if (!allowedActions.includes(params.action) || !params.args?.include) {
-                return next(params);
+        transformedData[pluralKey] = toListNestedWrite(write, modelName, relation, recordKeys, prismaModule, contextFilterOf);
+    }
+
+    // Nested writes on real relations (including the plural keys written above)
+    for (const field of findModel(prismaModule, modelName)?.fields || []) {
+        const write = transformedData[field.name];
+        if (field.kind !== 'object' || !write || typeof write !== 'object') continue;
+
+        const relatedDef = findModel(prismaModule, field.type);
+        const processNested = (nestedData, keys) =>
+            processData(nestedData, field.type, { ...getRecordKeys(nestedData, relatedDef), ...keys }, virtualRelationsMap, prismaModule, contextFilterOf);
+        const withProcessed = (item, key, keys) => {
+            const processed = processNested(item[key], keys);
+            return processed === item[key] ? item : { ...item, [key]: processed };
+        };
+        const isWrappedUpdate = item => 'data' in item && !findField(prismaModule, field.type, 'data');
+
+        // Each nested operation maps a single item or a list of items
+        const operations = {
+            create: item => processNested(item, {}),
+            connectOrCreate: item => withProcessed(item, 'create', getRecordKeys(item.where, relatedDef)),
+            upsert: item => withProcessed(
+                withProcessed(item, 'create', getRecordKeys(item.where, relatedDef)),
+                'update',
+                getRecordKeys(item.where, relatedDef)
+            ),
+            update: item => isWrappedUpdate(item)
+                ? withProcessed(item, 'data', getRecordKeys(item.where, relatedDef))
+                : processNested(item, {})
+        };
+
+        let processedWrite = write;
+        for (const [operation, processItem] of Object.entries(operations)) {
+            const value = write[operation];
+            if (!value || typeof value !== 'object') continue;
+
+            const processedValue = Array.isArray(value) ? value.map(processItem) : processItem(value);
+            const changed = Array.isArray(value)
+                ? processedValue.some((item, idx) => item !== value[idx])
+                : processedValue !== value;
+
+            if (changed) {
+                processedWrite = { ...processedWrite, [operation]: processedValue };
             }
+        }
 
-            // Map of requested singular fields for model
-            const requestedSingularFields = {};
-
-            // Process inclusions at any level of nesting
-            const processInclude = (include, modelName, includeStack = '') => {
-                if (!include || typeof include !== 'object') return include;
-
-                // Create a copy of the include object to avoid modifying the original
-                const transformedInclude = { ...include };
-                let modified = false;
-
-                // Search for singular relations defined for this model
-                const modelRelations = virtualRelationsMap[modelName];
-                if (modelRelations && Array.isArray(modelRelations)) {
-                    for (const { singularKey, pluralKey } of modelRelations) {
-                        // If the include contains a singular relation
-                        if (singularKey in transformedInclude) {
-                            // Register this field for result transformation
-                            if (!requestedSingularFields[modelName]) {
-                                requestedSingularFields[modelName] = [];
-                            }
-                            requestedSingularFields[modelName].push(singularKey);
+        if (processedWrite !== write) {
+            transformedData[field.name] = processedWrite;
+            modified = true;
+        }
+    }
 
-                            // Plural inclusion options (keep existing options or set only take: 1)
-                            const includeValue = transformedInclude[singularKey];
-                            const pluralOptions = typeof includeValue === 'object' && includeValue !== null
-                                ? { ...includeValue, take: 1 }
-                                : { take: 1 };
+    return modified ? transformedData : data;
+}
 
-                            // Replace the singular relation with the plural one
-                            transformedInclude[pluralKey] = pluralOptions;
-                            delete transformedInclude[singularKey];
-                            modified = true;
+/**
+ * Builds the default filter a relation context applies to a related model.
+ * Without a mapping for the model, context keys match columns of the same name.
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {string} relatedModel - Model of the virtual relation
+ * @param {RelationContext | undefined} context - Current relation context
+ * @param {RuntimeRelationPatchOptions['contextMappings']} contextMappings - Column to context key mappings by model
+ * @returns {Record<string, any>} The filter, empty when nothing applies
+ */
+function getContextFilter(prismaModule, relatedModel, context, contextMappings) {
+    const filter = {};
+    if (!context) return filter;
 
-                            // Log the transformation
-                            const path = includeStack ? `${includeStack}.${singularKey}` : singularKey;
-                        }
-                    }
-                }
+    const mapping = contextMappings?.[relatedModel]
+        ?? Object.fromEntries(Object.keys(context).map(contextKey => [contextKey, contextKey]));
 
-                // Process nested includes recursively
-                for (const [key, value] of Object.entries(transformedInclude)) {
-                    if (value && typeof value === 'object') {
-                        // If the value is an object and has the 'include' property
-                        if ('include' in value) {
-                            // Determine the name of the model for this relation
-                            let relatedModelName = '';
-
-                            // Search for the related model in the dmmf
-                            const targetField = (prismaModule.Prisma.dmmf?.datamodel?.models || [])
-                                .find(m => m.name === modelName)?.fields
-                                .find(f => f.name === key);
-
-                            if (targetField && targetField.type) {
-                                relatedModelName = targetField.type;
-                            } else {
-                                // Euristic attempt based on the field name
-                                // For plural keys (e.g. productFeatures), try to find a singular match
-                                const singularKey = getSingularForm(key);
-
-                                // Search for a model that matches the field name (singular or plural)
-                                relatedModelName = Object.keys(virtualRelationsMap).find(model =>
-                                    model.toLowerCase() === key.toLowerCase() ||
-                                    model.toLowerCase() === singularKey.toLowerCase()
-                                ) || '';
-
-                                // If we don't find a direct match, try with the first letter capitalized
-                                if (!relatedModelName) {
-                                    const capitalizedKey = key.charAt(0).toUpperCase() + key.slice(1);
-                                    const capitalizedSingular = singularKey.charAt(0).toUpperCase() + singularKey.slice(1);
-
-                                    relatedModelName = Object.keys(virtualRelationsMap).find(model =>
-                                        model === capitalizedKey || model === capitalizedSingular
-                                    ) || '';
-                                }
-                            }
+    for (const [column, contextKey] of Object.entries(mapping)) {
+        const value = context[contextKey];
+        if (value === undefined || value === null) continue;
+        if (findField(prismaModule, relatedModel, column)?.kind !== 'scalar') continue;
 
-                            // If we found a related model, process recursively
-                            if (relatedModelName) {
-                                const path = includeStack ? `${includeStack}.${key}.include` : `${key}.include`;
-                                const processedInclude = processInclude(value.include, relatedModelName, path);
-
-                                if (processedInclude !== value.include) {
-                                    transformedInclude[key] = {
-                                        ...value,
-                                        include: processedInclude
-                                    };
-                                    modified = true;
-                                }
-                            }
-                        } else if (!('select' in value)) {
-                            // If it doesn't have 'include' or 'select', it might be an options object
-                            // but we don't process further in these cases
-                        }
-                    }
-                }
+        filter[column] = value;
+    }
 
-                return modified ? transformedInclude : include;
-            };
+    return filter;
+}
 
-            // Apply the inclusion transformation starting from the main model
-            const originalInclude = params.args.include;
-            const transformedInclude = processInclude(originalInclude, params.model);
+/**
+ * Tells whether a where filters on a column of its model, directly or inside `AND`/`OR`/`NOT`
+ * (filters on relations apply to other models and are not searched).
+ * @param {any} where - Where input
+ * @param {string} column - Scalar column
+ * @returns {boolean} Whether the column is mentioned
+ */
+function mentionsColumn(where, column) {
+    if (Array.isArray(where)) return where.some(item => mentionsColumn(item, column));
+    if (!where || typeof where !== 'object') return false;
 
-            // If we have modified the include, update the parameters
-            if (transformedInclude !== originalInclude) {
-                params.args.include = transformedInclude;
+    return column in where || ['AND', 'OR', 'NOT'].some(operator => mentionsColumn(where[operator], column));
+}
+
+/**
+ * Data arguments of the write operations, and whether they create or update records.
+ * @type {Record<string, { [dataKey: string]: 'onCreate' | 'onUpdate' }>}
+ */
+const WRITE_DATA_KEYS = {
+    create: { data: 'onCreate' },
+    createMany: { data: 'onCreate' },
+    createManyAndReturn: { data: 'onCreate' },
+    update: { data: 'onUpdate' },
+    updateMany: { data: 'onUpdate' },
+    updateManyAndReturn: { data: 'onUpdate' },
+    upsert: { create: 'onCreate', update: 'onUpdate' }
+};
+
+/**
+ * Fills the auto-managed fields missing from a record being written with the current date,
+ * walking its nested writes on real relations.
+ * @param {any} data - Record data, or a list of records
+ * @param {'onCreate' | 'onUpdate'} kind - Whether the records are created or updated
+ * @param {string} modelName - Model of the records
+ * @param {Record<string, { onCreate: string[]; onUpdate: string[] }>} managedFields - Auto-managed fields by model
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {Date} now - Date to fill the fields with
+ * @returns {any} The data, copied when a field was filled
+ */
+function fillManagedRecords(data, kind, modelName, managedFields, prismaModule, now) {
+    if (!data || typeof data !== 'object') return data;
+
+    // createMany takes a list of records
+    if (Array.isArray(data)) {
+        const filledData = data.map(record => fillManagedRecords(record, kind, modelName, managedFields, prismaModule, now));
+        return filledData.some((record, idx) => record !== data[idx]) ? filledData : data;
+    }
+
+    const missing = (managedFields[modelName]?.[kind] || []).filter(field => data[field] === undefined);
+    let filledData = missing.length > 0 ? { ...data, ...Object.fromEntries(missing.map(field => [field, now])) } : data;
+
+    for (const field of findModel(prismaModule, modelName)?.fields || []) {
+        const write = data[field.name];
+        if (field.kind !== 'object' || !write || typeof write !== 'object') continue;
+
+        const fillNested = (nestedData, nestedKind) =>
+            fillManagedRecords(nestedData, nestedKind, field.type, managedFields, prismaModule, now);
+        const withFilled = (item, key, nestedKind) => {
+            const filled = fillNested(item[key], nestedKind);
+            return filled === item[key] ? item : { ...item, [key]: filled };
+        };
+        const isWrappedUpdate = item => 'data' in item && !findField(prismaModule, field.type, 'data');
+
+        // Each nested operation maps a single item or a list of items
+        const operations = {
+            create: item => fillNested(item, 'onCreate'),
+            createMany: item => withFilled(item, 'data', 'onCreate'),
+            connectOrCreate: item => withFilled(item, 'create', 'onCreate'),
+            upsert: item => withFilled(withFilled(item, 'create', 'onCreate'), 'update', 'onUpdate'),
+            update: item => isWrappedUpdate(item) ? withFilled(item, 'data', 'onUpdate') : fillNested(item, 'onUpdate'),
+            updateMany: item => withFilled(item, 'data', 'onUpdate')
+        };
+
+        let filledWrite = write;
+        for (const [operation, fillItem] of Object.entries(operations)) {
+            const value = write[operation];
+            if (!value || typeof value !== 'object') continue;
+
+            const filledValue = Array.isArray(value) ? value.map(fillItem) : fillItem(value);
+            const changed = Array.isArray(value)
+                ? filledValue.some((item, idx) => item !== value[idx])
+                : filledValue !== value;
+
+            if (changed) {
+                filledWrite = { ...filledWrite, [operation]: filledValue };
             }
+        }
 
-            // Execute the query with the updated parameters
-            const result = await next(params);
+        if (filledWrite !== write) {
+            filledData = { ...filledData, [field.name]: filledWrite };
+        }
+    }
 
-            // If there are no singular fields requested or no result, return the original result
-            if (Object.keys(requestedSingularFields).length === 0 || !result) {
-                return result;
+    return filledData;
+}
+
+/**
+ * Fills the auto-managed fields missing from the data of a write operation, nested writes included, with the current date.
+ * @param {any} args - Operation arguments
+ * @param {string} action - Operation name
+ * @param {string} modelName - Model the operation applies to
+ * @param {Record<string, { onCreate: string[]; onUpdate: string[] }>} managedFields - Auto-managed fields by model
+ * @param {object} prismaModule - Prisma module with namespace
+ * @returns {any} The arguments, copied when a field was filled
+ */
+function fillManagedFields(args, action, modelName, managedFields, prismaModule) {
+    const now = new Date();
+    let filledArgs = args;
+
+    for (const [dataKey, kind] of Object.entries(WRITE_DATA_KEYS[action] || {})) {
+        const data = args?.[dataKey];
+        const filledData = fillManagedRecords(data, kind, modelName, managedFields, prismaModule, now);
+
+        if (filledData !== data) {
+            filledArgs = { ...filledArgs, [dataKey]: filledData };
+        }
+    }
+
+    return filledArgs;
+}
+
+/**
+ * @typedef {object} FallbackPlan
+ * @property {Record<string, unknown>[]} priorities - Column values a row must have, in priority order
+ * @property {string[]} addedFields - Columns selected only to match the priorities, left out of the returned row
+ */
+
+/**
+ * Rewrites the where of a virtual include with a fallback chain: the columns the fallbacks set are matched with `in`
+ * against the values of the where and of every fallback, so that all the candidate rows come in the same query.
+ * @param {string} modelName - Model owning the relation
+ * @param {VirtualRelation} relation - Included virtual relation
+ * @param {object | undefined} where - Where of the include, relation context included
+ * @param {Record<string, unknown>[]} fallback - Filters to try in order when no row matches the where, e.g. `[{ langId: 1 }]`
+ * @returns {{ where: object; priorities: Record<string, unknown>[] }} The rewritten where and the column values by priority
+ */
+function planFallback(modelName, relation, where = {}, fallback) {
+    const columns = [...new Set(fallback.flatMap(filter => Object.keys(filter)))];
+
+    // The where comes first; fallbacks only replace the columns they set
+    const primary = {};
+    for (const column of columns) {
+        if (!isFixedValue(where[column])) {
+            throw new Error(`Cannot fall back on ${modelName}.${relation.singularKey}: its where must set ${column} to a value`);
+        }
+        primary[column] = getFixedValue(where[column]);
+    }
+    const priorities = [primary, ...fallback.map(filter => ({ ...primary, ...filter }))];
+
+    const fallbackWhere = { ...where };
+    for (const column of columns) {
+        const values = priorities.map(priority => priority[column])
+            .filter((value, idx, all) => all.findIndex(other => isSameValue(other, value)) === idx);
+        fallbackWhere[column] = { in: values };
+    }
+
+    return { where: fallbackWhere, priorities };
+}
+
+/**
+ * Checks whether a where filter sets a column to a single value, e.g. `2` or `{ equals: 2 }`.
+ * @param {unknown} filter - Filter of the column
+ * @returns {boolean}
+ */
+function isFixedValue(filter) {
+    if (filter === undefined || filter === null) return false;
+    if (typeof filter !== 'object' || filter instanceof Date) return true;
+    return 'equals' in filter && isFixedValue(filter.equals);
+}
+
+/**
+ * Reads the value a fixed where filter sets a column to.
+ * @param {unknown} filter - Filter of the column, checked with isFixedValue
+ * @returns {unknown} The value, e.g. `2` for `{ equals: 2 }`
+ */
+function getFixedValue(filter) {
+    return typeof filter === 'object' && !(filter instanceof Date) ? getFixedValue(filter.equals) : filter;
+}
+
+/**
+ * Compares column values, dates by their time.
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    return a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b;
+}
+
+/**
+ * Picks the candidate rows of a fallback chain matching the first priority that any row matches.
+ * @param {any[]} rows - Candidate rows
+ * @param {FallbackPlan} fallback - Fallback chain of the relation
+ * @returns {any[]} The matching rows, empty when none matches
+ */
+function pickFallbackRows(rows, fallback) {
+    for (const priority of fallback.priorities) {
+        const matches = rows.filter(row => Object.entries(priority).every(([column, value]) => isSameValue(row[column], value)));
+        if (matches.length > 0) return matches;
+    }
+
+    return [];
+}
+
+/**
+ * @typedef {object} ResultPlan
+ * @property {string} model - Model of the records at this level
+ * @property {{ relation: VirtualRelation; where?: object; flatten: ResolvedFlatten | null; fallback: FallbackPlan | null }[]} collapse -
+ *   Singular relations to collapse from their plural rows, or to merge onto the record when flattened
+ * @property {Set<string>} pluralKeys - Plural keys of the collapsed relations, left out of the rewritten records
+ * @property {Map<string, ResultPlan>} children - Plans of the nested records holding virtual relations, by result key
+ */
+
+/**
+ * Creates an empty result plan for a model.
+ * @param {string} model - Model of the records
+ * @returns {ResultPlan} The plan
+ */
+function createResultPlan(model) {
+    return { model, collapse: [], pluralKeys: new Set(), children: new Map() };
+}
+
+/**
+ * Checks whether a result plan leaves the records untouched.
+ * @param {ResultPlan} plan - Plan to check
+ * @returns {boolean} True when there is nothing to rewrite
+ */
+function isEmptyResultPlan(plan) {
+    return plan.collapse.length === 0 && plan.children.size === 0;
+}
+
+/**
+ * Rewrites query results along a result plan: the plural rows fetched for singular relations are moved to
+ * their singular key. Only records on the plan's paths are copied, anything else is returned as is.
+ * @param {any} entity - Record, list of records or null
+ * @param {ResultPlan} plan - Plan of the records
+ * @param {boolean} strict - Throw when a singular relation matched more than one row
+ * @param {string} path - Path of the records in the result, only built in strict mode
+ * @returns {any} The rewritten records
+ */
+function applyResultPlan(entity, plan, strict, path) {
+    if (!entity || typeof entity !== 'object') return entity;
+
+    if (Array.isArray(entity)) {
+        return entity.map((item, idx) => applyResultPlan(item, plan, strict, strict ? `${path}[${idx}]` : path));
+    }
+
+    // Copy the record without the plural keys, rather than deleting them afterwards
+    const transformed = {};
+    for (const key of Object.keys(entity)) {
+        if (!plan.pluralKeys.has(key)) transformed[key] = entity[key];
+    }
+
+    for (const { relation, where, flatten, fallback } of plan.collapse) {
+        let rows = Array.isArray(entity[relation.pluralKey]) ? entity[relation.pluralKey] : [];
+        // Fallback chains fetch every candidate: keep the ones of the first priority matched
+        if (fallback) rows = pickFallbackRows(rows, fallback);
+
+        if (strict && rows.length > 1) {
+            throw new VirtualRelationAmbiguityError({
+                model: plan.model,
+                relation,
+                path: path ? `${path}.${relation.singularKey}` : relation.singularKey,
+                where
+            });
+        }
+
+        // The first element of the array or null
+        let row = rows.length > 0 ? rows[0] : null;
+        if (row && fallback?.addedFields.length > 0) {
+            row = Object.fromEntries(Object.entries(row).filter(([field]) => !fallback.addedFields.includes(field)));
+        }
+
+        if (flatten) {
+            for (const field of flatten.fields) {
+                transformed[flatten.prefix + field] = row ? row[field] : (field in flatten.defaults ? flatten.defaults[field] : null);
             }
+        } else {
+            transformed[relation.singularKey] = row;
+        }
+    }
+
+    for (const [key, childPlan] of plan.children) {
+        const value = transformed[key];
+        if (value && typeof value === 'object') {
+            transformed[key] = applyResultPlan(value, childPlan, strict, strict ? (path ? `${path}.${key}` : key) : path);
+        }
+    }
+
+    return transformed;
+}
+
+/**
+ * Describes the shape of an include/select tree, which is all its result plan depends on outside strict mode:
+ * the keys of every level, not the values of their where. Trees with fallbacks or flatten specs, whose plans
+ * hold values, have none.
+ * @param {any} selection - Include or select tree
+ * @returns {string | null} The shape, or null when the plan can't be reused
+ */
+function getSelectionShape(selection) {
+    if (!selection || typeof selection !== 'object') return '';
+
+    let shape = '';
+    for (const [key, value] of Object.entries(selection)) {
+        // `false` drops a singular relation, any other value includes it
+        if (!value || typeof value !== 'object' || key === '_count') {
+            shape += value === false ? `!${key},` : `${key},`;
+            continue;
+        }
+        if (value.fallback || value.flatten) return null;
+
+        const include = getSelectionShape(value.include);
+        const select = getSelectionShape(value.select);
+        if (include === null || select === null) return null;
+
+        shape += `${key}${value.flatten === undefined ? '' : '~'}{${include}|${select}},`;
+    }
+
+    return shape;
+}
+
+/**
+ * Number of result plans kept by each client, beyond which the oldest ones are dropped.
+ */
+const PLAN_CACHE_SIZE = 500;
+
+/**
+ * Operations accepting `include`/`select`, whose results may hold virtual singular relations.
+ */
+const SELECTION_ACTIONS = [
+    'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+    'create', 'createManyAndReturn', 'update', 'updateManyAndReturn', 'upsert', 'delete'
+];
+
+/**
+ * Creates the handler that rewrites virtual singular relations for a single model operation.
+ * It is shared by the client extension and the legacy `$use` middleware.
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {RuntimeRelationPatchOptions} [options] - Runtime behaviour options
+ * @returns {(operation: { model?: string; action: string; args: any }, query: (args: any) => Promise<any>) => Promise<any>}
+ */
+function createOperationHandler(virtualRelationsMap, prismaModule, options = {}) {
+    const { strict = false, deterministicOrder = false, contextMappings } = options;
+    const managedFields = resolveManagedFields(options.managedFields, prismaModule.datamodel);
+    const flattenedRelations = resolveFlattenedRelations(options.flatten, virtualRelationsMap, prismaModule.datamodel);
+    // Fields the where of each virtual include must set in strict mode, as reported by the schema linter
+    const whereFields = strict
+        ? new Map(lintVirtualRelations(virtualRelationsMap, prismaModule.datamodel)
+            .filter(lint => lint.whereFields)
+            .map(lint => [`${lint.model}.${lint.singularKey}`, lint.whereFields]))
+        : new Map();
+    /** @type {Map<string, ResultPlan>} */
+    const planCache = new Map();
 
-            // Recursive function to transform results
-            const transformEntity = (entity, modelName, path = '') => {
-                if (!entity || typeof entity !== 'object') return entity;
-
-                // Create a new object with the same properties
-                const transformed = Array.isArray(entity)
-                    ? entity.map((item, idx) => transformEntity(item, modelName, `${path}[${idx}]`))
-                    : { ...entity };
-
-                // If it's not an array, apply the transformations
-                if (!Array.isArray(transformed)) {
-                    const modelSingularFields = requestedSingularFields[modelName] || [];
-                    for (const singularKey of modelSingularFields) {
-                        // Find the corresponding relation
-                        const relation = virtualRelationsMap[modelName]?.find(r => r.singularKey === singularKey);
-                        if (!relation) continue;
-
-                        const { pluralKey } = relation;
-
-                        // If the plural field exists and contains elements
-                        if (pluralKey in transformed && Array.isArray(transformed[pluralKey])) {
-                            // Set the singular field to the first element of the array or null
-                            transformed[singularKey] = transformed[pluralKey].length > 0
-                                ? transformed[pluralKey][0]
-                                : null;
-
-                            // Delete the plural field
-                            delete transformed[pluralKey];
-                        } else {
-                            transformed[singularKey] = null;
+    return async ({ model, action, args: originalArgs }, query) => {
+        const context = relationContextStorage.getStore();
+
+        // Filters on virtual relations are rewritten for every operation accepting a where
+        let args = originalArgs;
+        if (model && args?.where) {
+            const where = processWhere(args.where, model, virtualRelationsMap, prismaModule);
+            if (where !== args.where) {
+                args = { ...args, where };
+            }
+        }
+
+        // Nested writes on virtual relations; the parent's unique where scopes the related rows
+        if (model && (action === 'create' || action === 'update' || action === 'upsert')) {
+            const modelDef = findModel(prismaModule, model);
+            const whereKeys = getRecordKeys(originalArgs?.where, modelDef);
+            const dataKeys = action === 'upsert' ? ['create', 'update'] : ['data'];
+            const contextFilterOf = relatedModel => getContextFilter(prismaModule, relatedModel, context, contextMappings);
+
+            for (const dataKey of dataKeys) {
+                const data = args?.[dataKey];
+                const recordKeys = { ...getRecordKeys(data, modelDef), ...whereKeys };
+                const processedData = processData(data, model, recordKeys, virtualRelationsMap, prismaModule, contextFilterOf);
+                if (processedData !== data) {
+                    args = { ...args, [dataKey]: processedData };
+                }
+            }
+        }
+
+        // Auto-managed fields, once nested writes on virtual relations are rewritten onto real relations
+        if (model && Object.keys(managedFields).length > 0) {
+            args = fillManagedFields(args, action, model, managedFields, prismaModule);
+        }
+
+        // Intercept only operations returning records, when they have an include or select
+        if (!SELECTION_ACTIONS.includes(action) || !(args?.include || args?.select)) {
+            return query(args);
+        }
+
+        // Process include/select trees at any level of nesting, recording in the plan where the result holds virtual relations
+        // (no plan is given when a cached one is reused)
+        const processSelection = (selection, modelName, plan) => {
+            if (!selection || typeof selection !== 'object') return selection;
+
+            // Create a copy of the selection object to avoid modifying the original
+            const transformedSelection = { ...selection };
+            let modified = false;
+            // Plural keys fetched for singular relations, whose rows end up under the singular key
+            const resultKeys = {};
+
+            // Search for singular relations defined for this model
+            const modelRelations = virtualRelationsMap[modelName];
+            if (modelRelations && Array.isArray(modelRelations)) {
+                for (const relation of modelRelations) {
+                    const { singularKey, pluralKey, relatedModel } = relation;
+                    // If the selection contains a singular relation
+                    if (singularKey in transformedSelection) {
+                        const selectionValue = transformedSelection[singularKey];
+                        delete transformedSelection[singularKey];
+                        modified = true;
+
+                        // `brandLang: false` simply drops the relation
+                        if (selectionValue === false) continue;
+
+                        // Plural selection options (keep existing options or set only take: 1).
+                        // Strict mode fetches a second row so that ambiguous filters can be detected.
+                        const { flatten: flattenSpec, fallback: fallbackFilters, ...relationOptions } = typeof selectionValue === 'object' && selectionValue !== null
+                            ? selectionValue
+                            : {};
+                        const pluralOptions = { ...relationOptions, take: strict ? 2 : 1 };
+
+                        // Flattened relations only fetch the merged fields, unless the include selects more
+                        const flatten = flattenSpec === undefined
+                            ? flattenedRelations[modelName]?.[singularKey] || null
+                            : flattenSpec ? normalizeFlatten(flattenSpec, modelName, relation, prismaModule.datamodel) : null;
+                        if (flatten && !pluralOptions.include) {
+                            pluralOptions.select = { ...Object.fromEntries(flatten.fields.map(field => [field, true])), ...pluralOptions.select };
                         }
-                    }
 
-                    // Handle nested includes
-                    for (const [key, value] of Object.entries(transformed)) {
-                        if (value && typeof value === 'object') {
-                            let relatedModelName = '';
-
-                            const targetField = (prismaModule.Prisma.dmmf?.datamodel?.models || [])
-                                .find(m => m.name === modelName)?.fields
-                                .find(f => f.name === key);
-
-                            if (targetField && targetField.type) {
-                                relatedModelName = targetField.type;
-                            } else {
-                                const singularKey = getSingularForm(key);
-
-                                relatedModelName = Object.keys(virtualRelationsMap).find(model =>
-                                    model.toLowerCase() === key.toLowerCase() ||
-                                    model.toLowerCase() === singularKey.toLowerCase()
-                                ) || '';
-
-                                if (!relatedModelName) {
-                                    const capitalizedKey = key.charAt(0).toUpperCase() + key.slice(1);
-                                    const capitalizedSingular = singularKey.charAt(0).toUpperCase() + singularKey.slice(1);
-
-                                    relatedModelName = Object.keys(virtualRelationsMap).find(model =>
-                                        model === capitalizedKey || model === capitalizedSingular
-                                    ) || '';
-                                }
-                            }
+                        // Context filters only fill the columns the explicit where doesn't mention
+                        const contextFilter = getContextFilter(prismaModule, relatedModel, context, contextMappings);
+                        const explicitWhere = pluralOptions.where || {};
+                        const missingContextFilter = Object.entries(contextFilter).filter(([column]) => !mentionsColumn(explicitWhere, column));
+                        if (missingContextFilter.length > 0) {
+                            pluralOptions.where = { ...Object.fromEntries(missingContextFilter), ...explicitWhere };
+                        }
+
+                        // Strict mode rejects filters the related model's unique constraint doesn't make single-row
+                        const missingFields = (whereFields.get(`${modelName}.${singularKey}`) || [])
+                            .filter(field => !isFixedValue(pluralOptions.where?.[field]));
+                        if (missingFields.length > 0) {
+                            throw new VirtualRelationWhereError({ model: modelName, relation, missingFields, where: pluralOptions.where });
+                        }
 
-                            if (relatedModelName) {
-                                transformed[key] = transformEntity(value, relatedModelName, path ? `${path}.${key}` : key);
+                        // Fallback chains fetch the rows of every priority at once, and pick one in the result
+                        let fallback = null;
+                        if (Array.isArray(fallbackFilters) && fallbackFilters.length > 0) {
+                            const { where, priorities } = planFallback(modelName, relation, pluralOptions.where, fallbackFilters);
+                            const addedFields = pluralOptions.select
+                                ? Object.keys(priorities[0]).filter(column => !pluralOptions.select[column])
+                                : [];
+
+                            // Without a unique constraint, several rows may match a priority: no take, so that
+                            // rows of lower priorities can't push out the preferred one
+                            pluralOptions.where = where;
+                            delete pluralOptions.take;
+                            if (addedFields.length > 0) {
+                                pluralOptions.select = { ...pluralOptions.select, ...Object.fromEntries(addedFields.map(field => [field, true])) };
                             }
+                            fallback = { priorities, addedFields };
+                        }
+
+                        // Register this relation for result transformation (the where only shows in strict mode errors)
+                        plan?.collapse.push({ relation, where: strict ? pluralOptions.where : undefined, flatten, fallback });
+                        plan?.pluralKeys.add(pluralKey);
+                        resultKeys[pluralKey] = singularKey;
+
+                        if (deterministicOrder && !pluralOptions.orderBy) {
+                            const orderBy = getPrimaryKeyOrderBy(prismaModule, relatedModel);
+                            if (orderBy) pluralOptions.orderBy = orderBy;
                         }
+
+                        transformedSelection[pluralKey] = pluralOptions;
+                    }
+                }
+            }
+
+            // Process nested include/select trees recursively
+            for (const [key, value] of Object.entries(transformedSelection)) {
+                // `_count` selects relation counts of this model, it never holds a nested model
+                if (key === '_count' || !value || typeof value !== 'object') continue;
+                if (!('include' in value) && !('select' in value) && !('where' in value)) continue;
+
+                const relatedModelName = findField(prismaModule, modelName, key)?.type;
+                if (!relatedModelName) continue;
+
+                let nextValue = value;
+                if (value.where) {
+                    const where = processWhere(value.where, relatedModelName, virtualRelationsMap, prismaModule);
+                    if (where !== value.where) {
+                        nextValue = { ...nextValue, where };
                     }
                 }
 
-                return transformed;
-            };
+                const childPlan = plan && createResultPlan(relatedModelName);
+                for (const selectionKey of ['include', 'select']) {
+                    if (!(selectionKey in value)) continue;
 
-            if (Array.isArray(result)) {
-                return result.map((item, idx) => transformEntity(item, params.model, `[${idx}]`));
-            } else {
-                return transformEntity(result, params.model);
+                    const processedSelection = processSelection(value[selectionKey], relatedModelName, childPlan);
+
+                    if (processedSelection !== value[selectionKey]) {
+                        nextValue = { ...nextValue, [selectionKey]: processedSelection };
+                    }
+                }
+
+                // Only paths leading to virtual relations are walked in the result
+                if (plan && !isEmptyResultPlan(childPlan)) {
+                    plan.children.set(resultKeys[key] ?? key, childPlan);
+                }
+
+                if (nextValue !== value) {
+                    transformedSelection[key] = nextValue;
+                    modified = true;
+                }
             }
-        });
 
-        return client;
+            return modified ? transformedSelection : selection;
+        };
+
+        // Apply the transformation starting from the main model; Prisma accepts either include or select
+        const selectionKey = args.select ? 'select' : 'include';
+        const originalSelection = args[selectionKey];
+
+        // Outside strict mode, plans only depend on the shape of the tree: reuse the one of an earlier query
+        const shape = strict ? null : getSelectionShape(originalSelection);
+        const planKey = shape === null ? null : `${model}:${shape}`;
+        const cachedPlan = planKey === null ? undefined : planCache.get(planKey);
+        /** @type {ResultPlan} */
+        const resultPlan = cachedPlan || createResultPlan(model);
+        const transformedSelection = processSelection(originalSelection, model, cachedPlan ? null : resultPlan);
+
+        if (planKey !== null && !cachedPlan) {
+            if (planCache.size >= PLAN_CACHE_SIZE) planCache.delete(planCache.keys().next().value);
+            planCache.set(planKey, resultPlan);
+        }
+
+        // Execute the query with the updated arguments (the caller's args are never mutated)
+        const result = await query(
+            transformedSelection !== originalSelection ? { ...args, [selectionKey]: transformedSelection } : args
+        );
+
+        // If there are no singular fields requested or no result, return the original result
+        if (isEmptyResultPlan(resultPlan) || !result) {
+            return result;
+        }
+
+        return applyResultPlan(result, resultPlan, strict, '');
+    };
+}
+
+/**
+ * Wraps an operation handler into a query extension for every model and operation.
+ * @param {ReturnType<typeof createOperationHandler>} handleOperation
+ * @param {object} prismaModule - Prisma module with namespace
+ * @returns {object} The extension, wrapped with `Prisma.defineExtension` when available
+ */
+function defineRelationExtension(handleOperation, prismaModule) {
+    const extension = {
+        name: 'prisma-one2one',
+        query: {
+            $allModels: {
+                $allOperations({ model, operation, args, query }) {
+                    return handleOperation({ model, action: operation, args }, query);
+                }
+            }
+        }
+    };
+
+    const defineExtension = prismaModule.Prisma?.defineExtension;
+    return typeof defineExtension === 'function' ? defineExtension(extension) : extension;
+}
+
+/**
+ * Creates a Prisma Client extension that adds the virtual singular relations to every model and operation.
+ * Use it directly with `client.$extends(...)` when composing several extensions.
+ * @param {string[]} relationModels - Array of relation models to process
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {RuntimeRelationPatchOptions} [options] - Runtime behaviour options
+ * @returns {object | function} The client extension, as a function of the client when wrapped by `Prisma.defineExtension`
+ */
+export function createRuntimeRelationExtension(relationModels, prismaModule, options = {}) {
+    const createExtension = boundModule => defineRelationExtension(
+        createOperationHandler(generateRelationsMap(relationModels, boundModule, options), boundModule, options),
+        boundModule
+    );
+
+    if (getStaticDatamodel(prismaModule, options)) {
+        return createExtension(withDatamodel(prismaModule, options));
+    }
+
+    // Without Prisma.dmmf, wait for the client being extended to read its runtime data model
+    const defineExtension = prismaModule.Prisma?.defineExtension;
+    if (typeof defineExtension !== 'function') {
+        throw new Error('Unable to read the Prisma datamodel: pass the `datamodel` option');
+    }
+
+    return defineExtension(client => client.$extends(createExtension(withDatamodel(prismaModule, options, client))));
+}
+
+/**
+ * Create a function that applies the virtual relations patch to a Prisma client.
+ * Clients exposing `$extends` get a query extension; older clients fall back to the `$use` middleware.
+ * @param {string[]} relationModels - Array of relation models to process
+ * @param {object} prismaModule - Prisma module with namespace
+ * @param {RuntimeRelationPatchOptions} [options] - Runtime behaviour options
+ * @returns {function} Function that takes a Prisma client and returns the patched client
+ */
+export default function applyRuntimeRelationPatch(relationModels, prismaModule, options = {}) {
+    const createHandler = boundModule => ({
+        boundModule,
+        handleOperation: createOperationHandler(generateRelationsMap(relationModels, boundModule, options), boundModule, options)
+    });
+
+    // Resolved right away when the datamodel doesn't depend on the client, so that configuration errors surface early
+    const staticHandler = getStaticDatamodel(prismaModule, options) ? createHandler(withDatamodel(prismaModule, options)) : null;
+
+    return (client) => {
+        if (!client) {
+            return client;
+        }
+
+        const { boundModule, handleOperation } = staticHandler || createHandler(withDatamodel(prismaModule, options, client));
+
+        if (typeof client.$extends === 'function') {
+            return client.$extends(defineRelationExtension(handleOperation, boundModule));
+        }
+
+        if (typeof client.$use === 'function') {
+            client.$use((params, next) =>
+                handleOperation(params, (args) => next({ ...params, args }))
+            );
+            return client;
+        }
+
+        throw new Error('Unable to patch Prisma client: it exposes neither $extends nor $use');
     };
 }
 
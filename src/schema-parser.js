@@ -0,0 +1,321 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Splits schema content into logical lines without comments.
+ * `///` doc comments are kept apart so they can be attached to the next model or field;
+ * `//` inside strings is left untouched, and lines with unbalanced brackets are joined.
+ * @param {string} content - Schema content
+ * @returns {{ text: string; documentation: string[] }[]} Logical lines
+ */
+function splitLogicalLines(content) {
+    const lines = [];
+    let pendingDocs = [];
+    let buffer = '';
+    let depth = 0;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        let text = '';
+        let inString = false;
+
+        for (let i = 0; i < rawLine.length; i++) {
+            const char = rawLine[i];
+
+            if (inString) {
+                text += char;
+                if (char === '\\') {
+                    text += rawLine[++i] ?? '';
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '/' && rawLine[i + 1] === '/') {
+                if (rawLine[i + 2] === '/' && !text.trim() && !buffer) {
+                    pendingDocs.push(rawLine.slice(i + 3).trim());
+                }
+                break;
+            }
+
+            if (char === '"') inString = true;
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            text += char;
+        }
+
+        buffer = buffer ? `${buffer} ${text.trim()}` : text.trim();
+        if (depth > 0 || !buffer) continue;
+
+        lines.push({ text: buffer, documentation: pendingDocs });
+        pendingDocs = [];
+        buffer = '';
+        depth = 0;
+    }
+
+    return lines;
+}
+
+/**
+ * Splits a string on a separator, ignoring separators nested in brackets or strings.
+ * @param {string} input - String to split
+ * @param {string} separator - Single character separator
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+function splitTopLevel(input, separator) {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let inString = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inString) {
+            current += char;
+            if (char === '\\') current += input[++i] ?? '';
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        if (char === '(' || char === '[' || char === '{') depth++;
+        if (char === ')' || char === ']' || char === '}') depth--;
+
+        if (char === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+}
+
+/**
+ * Parses the attributes following a field or making up a block attribute line.
+ * @param {string} input - e.g. `@id @default(autoincrement()) @map("id_brand")`
+ * @returns {{ name: string; args: string }[]} Attributes with their raw argument list
+ */
+function parseAttributes(input) {
+    const attributes = [];
+    const attributeRegex = /@@?([\w.]+)/g;
+    let match;
+
+    while ((match = attributeRegex.exec(input)) !== null) {
+        let args = '';
+        let end = attributeRegex.lastIndex;
+
+        if (input[end] === '(') {
+            let depth = 0;
+            let inString = false;
+            for (let i = end; i < input.length; i++) {
+                const char = input[i];
+                if (inString) {
+                    if (char === '\\') i++;
+                    else if (char === '"') inString = false;
+                    continue;
+                }
+                if (char === '"') inString = true;
+                if (char === '(') depth++;
+                if (char === ')' && --depth === 0) {
+                    args = input.slice(end + 1, i);
+                    end = i + 1;
+                    break;
+                }
+            }
+        }
+
+        attributes.push({ name: match[1], args });
+        attributeRegex.lastIndex = end;
+    }
+
+    return attributes;
+}
+
+/**
+ * Parses an attribute argument list into positional and named arguments.
+ * @param {string} args - Raw argument list, e.g. `fields: [brandId], references: [id]`
+ * @returns {{ positional: string[]; named: Record<string, string> }} Raw argument values
+ */
+function parseArguments(args) {
+    const positional = [];
+    const named = {};
+
+    for (const part of splitTopLevel(args, ',')) {
+        const namedMatch = /^(\w+)\s*:\s*([\s\S]*)$/.exec(part);
+        if (namedMatch) {
+            named[namedMatch[1]] = namedMatch[2].trim();
+        } else {
+            positional.push(part);
+        }
+    }
+
+    return { positional, named };
+}
+
+/**
+ * Reads a list argument such as `[brandId, langId(sort: Desc)]` as field names.
+ * @param {string | undefined} value - Raw argument value
+ * @returns {string[]} Field names
+ */
+function parseFieldList(value) {
+    if (!value) return [];
+    return splitTopLevel(value.replace(/^\[|\]$/g, ''), ',').map(item => item.replace(/\(.*\)$/s, '').trim());
+}
+
+/**
+ * Reads a string argument such as `"brand_langs"`.
+ * @param {string | undefined} value - Raw argument value
+ * @returns {string | null} The unquoted string
+ */
+function parseString(value) {
+    if (!value || !value.startsWith('"')) return null;
+    return JSON.parse(value);
+}
+
+/**
+ * Parses Prisma schema content into a datamodel shaped like `Prisma.dmmf.datamodel`.
+ * @param {string} content - Schema content (one file, or several files concatenated)
+ * @returns {{ models: any[]; enums: any[]; types: any[] }} The datamodel
+ */
+export function parsePrismaSchema(content) {
+    const blocks = [];
+    let currentBlock = null;
+
+    // Group logical lines into top-level blocks
+    for (const line of splitLogicalLines(content)) {
+        if (!currentBlock) {
+            const blockMatch = /^(model|view|enum|type|datasource|generator)\s+(\w+)\s*\{$/.exec(line.text);
+            if (blockMatch) {
+                currentBlock = { keyword: blockMatch[1], name: blockMatch[2], documentation: line.documentation, lines: [] };
+            }
+            continue;
+        }
+
+        if (line.text === '}') {
+            blocks.push(currentBlock);
+            currentBlock = null;
+        } else {
+            currentBlock.lines.push(line);
+        }
+    }
+
+    const enumNames = blocks.filter(b => b.keyword === 'enum').map(b => b.name);
+    const compositeTypeNames = blocks.filter(b => b.keyword === 'type').map(b => b.name);
+    const objectNames = blocks.filter(b => b.keyword === 'model' || b.keyword === 'view').map(b => b.name)
+        .concat(compositeTypeNames);
+    const toDocumentation = docs => docs.length > 0 ? docs.join('\n') : undefined;
+
+    const parseModel = block => {
+        const modelDef = {
+            name: block.name,
+            dbName: null,
+            documentation: toDocumentation(block.documentation),
+            fields: [],
+            primaryKey: null,
+            uniqueFields: [],
+            uniqueIndexes: [],
+            indexes: []
+        };
+
+        for (const line of block.lines) {
+            if (line.text.startsWith('@@')) {
+                for (const { name, args } of parseAttributes(line.text)) {
+                    const { positional, named } = parseArguments(args);
+                    const fields = parseFieldList(named.fields ?? positional[0]);
+                    const constraintName = parseString(named.name);
+
+                    if (name === 'id') modelDef.primaryKey = { name: constraintName, fields };
+                    if (name === 'unique') {
+                        modelDef.uniqueFields.push(fields);
+                        modelDef.uniqueIndexes.push({ name: constraintName, fields });
+                    }
+                    if (name === 'index') modelDef.indexes.push({ name: constraintName, fields });
+                    if (name === 'map') modelDef.dbName = parseString(positional[0]);
+                }
+                continue;
+            }
+
+            const fieldMatch = /^(\w+)\s+(Unsupported\("(?:[^"\\]|\\.)*"\)|[\w.]+)(\[\])?(\?)?\s*(.*)$/.exec(line.text);
+            if (!fieldMatch) continue;
+
+            const [, fieldName, type, list, optional, rest] = fieldMatch;
+            const attributes = parseAttributes(rest);
+            const hasAttribute = attributeName => attributes.some(a => a.name === attributeName);
+            const kind = objectNames.includes(type) ? 'object' : enumNames.includes(type) ? 'enum' : 'scalar';
+
+            const field = {
+                name: fieldName,
+                kind,
+                isList: Boolean(list),
+                isRequired: !list && !optional,
+                isUnique: hasAttribute('unique'),
+                isId: hasAttribute('id'),
+                isUpdatedAt: hasAttribute('updatedAt'),
+                hasDefaultValue: hasAttribute('default'),
+                type: type.startsWith('Unsupported(') ? 'Unsupported' : type,
+                documentation: toDocumentation(line.documentation)
+            };
+
+            if (kind === 'object' && !compositeTypeNames.includes(type)) {
+                const relation = attributes.find(a => a.name === 'relation');
+                const { positional, named } = parseArguments(relation?.args || '');
+
+                // Prisma names unnamed relations after both models, sorted alphabetically
+                field.relationName = parseString(named.name ?? positional[0]) || [block.name, type].sort().join('To');
+                field.relationFromFields = parseFieldList(named.fields);
+                field.relationToFields = parseFieldList(named.references);
+            }
+
+            modelDef.fields.push(field);
+        }
+
+        return modelDef;
+    };
+
+    return {
+        models: blocks.filter(b => b.keyword === 'model' || b.keyword === 'view').map(parseModel),
+        enums: blocks.filter(b => b.keyword === 'enum').map(block => ({
+            name: block.name,
+            values: block.lines.filter(l => !l.text.startsWith('@@')).map(l => ({ name: l.text.split(/\s+/)[0] })),
+            documentation: toDocumentation(block.documentation)
+        })),
+        types: blocks.filter(b => b.keyword === 'type').map(parseModel)
+    };
+}
+
+/**
+ * Lists the .prisma files of a schema path: the file itself, or every .prisma file
+ * below a schema folder (`prismaSchemaFolder`), in a stable order.
+ * @param {string} schemaPath - Schema file or directory
+ * @returns {string[]} Schema file paths
+ */
+export function listSchemaFiles(schemaPath) {
+    if (!fs.statSync(schemaPath).isDirectory()) {
+        return [schemaPath];
+    }
+
+    return fs.readdirSync(schemaPath, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const entryPath = path.join(schemaPath, entry.name);
+            if (entry.isDirectory()) return listSchemaFiles(entryPath);
+            return entry.name.endsWith('.prisma') ? [entryPath] : [];
+        });
+}
+
+/**
+ * Reads and parses a schema file or a multi-file schema directory.
+ * @param {string} schemaPath - Schema file or directory
+ * @returns {{ models: any[]; enums: any[]; types: any[] }} The datamodel
+ */
+export function readPrismaSchema(schemaPath) {
+    const content = listSchemaFiles(schemaPath)
+        .map(file => fs.readFileSync(file, 'utf8'))
+        .join('\n');
+
+    return parsePrismaSchema(content);
+}
@@ -0,0 +1,309 @@
+/**@import { VirtualRelationsMap } from './runtime-relation-patch'; */
+/**@import { ResolvedFlatten } from './relation-rules.js'; */
+
+/**
+ * Operations accepting `include`/`select`, in the order they are declared on model delegates.
+ */
+const SELECTION_OPERATIONS = [
+    'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+    'create', 'createManyAndReturn', 'update', 'updateManyAndReturn', 'upsert', 'delete'
+];
+
+/**
+ * Operations whose args are optional on model delegates.
+ */
+const OPTIONAL_ARGS_OPERATIONS = ['findFirst', 'findFirstOrThrow', 'findMany'];
+
+/**
+ * Renders an object type literal from a list of `key: type` members.
+ * @param {string[]} members - Member declarations
+ * @param {string} indent - Indentation of the members
+ * @returns {string}
+ */
+const renderObjectType = (members, indent) =>
+    members.length > 0 ? `{\n${members.map(member => `${indent}${member}`).join('\n')}\n${indent.slice(2)}}` : '{}';
+
+/**
+ * Renders the type of a JS value, widened, e.g. of a flatten default.
+ * @param {unknown} value - Value to describe
+ * @returns {string}
+ */
+function renderValueType(value) {
+    if (value === null) return 'null';
+    if (value instanceof Date) return 'Date';
+    return ['string', 'number', 'boolean', 'bigint'].includes(typeof value) ? typeof value : 'unknown';
+}
+
+/**
+ * Renders the type augmentation file: type-level wrappers around the generated client which
+ * accept virtual singular keys in include/select, where and the written data, and collapse them in the inferred payloads.
+ * The generated client files are left untouched.
+ * @param {VirtualRelationsMap} virtualRelationsMap - Map of virtual relations by model
+ * @param {{ models: any[] }} datamodel - Schema datamodel
+ * @param {{ clientImport: string; runtimeModule?: string; operations?: string[]; flatten?: Record<string, Record<string, ResolvedFlatten>> }} options -
+ *   Import path of the generated client, module specifier of the runtime patch to augment,
+ *   the delegate operations the generated client declares and the relations flattened by default
+ * @returns {string} The d.ts content
+ */
+export function renderTypeAugmentation(virtualRelationsMap, datamodel, options) {
+    const { clientImport, runtimeModule, operations = SELECTION_OPERATIONS, flatten = {} } = options;
+    const selectionOperations = SELECTION_OPERATIONS.filter(operation => operations.includes(operation));
+    const toUnion = values => values.map(value => `'${value}'`).join(' | ') || 'never';
+
+    const renderFlatten = ({ fields, prefix, defaults }) => {
+        const defaultMembers = Object.entries(defaults).map(([field, value]) => `${field}: ${renderValueType(value)}`);
+        return `{ fields: ${toUnion(fields)}; prefix: '${prefix}'; defaults: { ${defaultMembers.join('; ')} } }`;
+    };
+
+    // Relations flattened by default carry their flatten spec, used when an include doesn't set its own
+    const relationMembers = Object.entries(virtualRelationsMap).map(([modelName, relations]) =>
+        `${modelName}: ${renderObjectType(relations.map(({ singularKey, pluralKey, relatedModel }) => {
+            const defaultFlatten = flatten[modelName]?.[singularKey];
+            return `${singularKey}: { pluralKey: '${pluralKey}'; model: '${relatedModel}'; ` +
+                `args: Omit<Prisma.${relatedModel}FindManyArgs, 'take'> & { flatten?: One2OneFlatten<Prisma.${relatedModel}ScalarFieldEnum>; fallback?: Partial<Prisma.${relatedModel}GetPayload<true>>[] }` +
+                `${defaultFlatten ? `; flatten: ${renderFlatten(defaultFlatten)}` : ''} }`;
+        }), '    ')}`
+    );
+
+    const fieldModelMembers = datamodel.models.map(model =>
+        `${model.name}: ${renderObjectType(
+            model.fields.filter(f => f.kind === 'object').map(f => `${f.name}: '${f.type}'`),
+            '    '
+        )}`
+    );
+
+    const whereInputMembers = datamodel.models.map(model => `${model.name}: Prisma.${model.name}WhereInput`);
+
+    const listFieldMembers = datamodel.models.map(model =>
+        `${model.name}: ${toUnion(model.fields.filter(f => f.kind === 'object' && f.isList).map(f => f.name))}`
+    );
+
+    const delegateMembers = datamodel.models.map(model =>
+        `${model.name.charAt(0).toLowerCase()}${model.name.slice(1)}: '${model.name}'`
+    );
+
+    const optionalOperations = selectionOperations.filter(operation => OPTIONAL_ARGS_OPERATIONS.includes(operation));
+    const requiredOperations = selectionOperations.filter(operation => !OPTIONAL_ARGS_OPERATIONS.includes(operation));
+
+    const registry = runtimeModule
+        ? `
+declare module '${runtimeModule}' {
+  interface One2OneTypes<T> {
+    client: One2OneClient<T>
+  }
+}
+`
+        : '';
+
+    return `// Generated by prisma-one2one. Run the patch again after \`prisma generate\`.
+import type { Prisma } from '${clientImport}'
+
+/** Virtual singular relations by model. */
+type One2OneRelations = ${renderObjectType(relationMembers, '  ')}
+
+/** Related model of every relation field, used to walk nested include/select trees. */
+type One2OneFieldModels = ${renderObjectType(fieldModelMembers, '  ')}
+
+/** Where input of every model. */
+type One2OneWhereInputs = ${renderObjectType(whereInputMembers, '  ')}
+
+/** List relation fields of every model. */
+type One2OneListFields = ${renderObjectType(listFieldMembers, '  ')}
+
+/** Model of every client delegate. */
+type One2OneDelegateModels = ${renderObjectType(delegateMembers, '  ')}
+
+type One2OneOptionalArgsOperation = ${toUnion(optionalOperations)}
+type One2OneRequiredArgsOperation = ${toUnion(requiredOperations)}
+
+type SingularKeys<M> = M extends keyof One2OneRelations ? keyof One2OneRelations[M] : never
+type RelationOf<M, K> = M extends keyof One2OneRelations
+  ? K extends keyof One2OneRelations[M] ? One2OneRelations[M][K] : never
+  : never
+type FieldModel<M, K> = M extends keyof One2OneFieldModels
+  ? K extends keyof One2OneFieldModels[M] ? One2OneFieldModels[M][K] : never
+  : never
+type PluralKeyOf<M, K> = RelationOf<M, K> extends infer R ? R extends { pluralKey: infer P } ? P : never : never
+type RelatedModelOf<M, K> = RelationOf<M, K> extends infer R ? R extends { model: infer N } ? N : never : never
+type ElementOf<T> = T extends (infer E)[] ? E : never
+type Simplify<T> = { [K in keyof T]: T[K] } & {}
+
+type SelectionOf<A> = A extends { select: infer S } ? S : A extends { include: infer I } ? I : {}
+type RequestedSingularKeys<M, S> = {
+  [K in keyof S & SingularKeys<M>]: S[K] extends false | null | undefined ? never : K
+}[keyof S & SingularKeys<M>]
+type UnionToIntersection<U> = (U extends unknown ? (x: U) => void : never) extends (x: infer I) => void ? I : never
+
+/** Fields of a virtual relation merged onto its parent: the include's \`flatten\`, else the one it is flattened with by default. */
+type One2OneFlatten<F> = false | readonly F[] | {
+  fields: readonly F[]
+  prefix?: (string & {}) | ''
+  defaults?: { [K in F & string]?: unknown }
+}
+type FlattenOf<M, K, A> = A extends { flatten: infer F }
+  ? NormalizeFlatten<F>
+  : RelationOf<M, K> extends { flatten: infer F } ? F : never
+type NormalizeFlatten<F> = F extends readonly (infer N)[]
+  ? { fields: N; prefix: ''; defaults: {} }
+  : F extends { fields: readonly (infer N)[] }
+    ? { fields: N; prefix: F extends { prefix: infer P extends string } ? P : ''; defaults: F extends { defaults: infer D } ? D : {} }
+    : never
+type FlattenedKeys<M, S> = {
+  [K in RequestedSingularKeys<M, S>]: [FlattenOf<M, K, S[K]>] extends [never] ? never : K
+}[RequestedSingularKeys<M, S>]
+type FlattenedFields<F, R> = F extends { fields: infer N; prefix: infer P extends string; defaults: infer D }
+  ? { [N2 in N & keyof R & string as \`\${P}\${N2}\`]: N2 extends keyof D ? R[N2] | D[N2] : R[N2] | null }
+  : {}
+
+/** Rewrites virtual singular keys into their plural keys, as the runtime patch does. */
+type ToPluralArgs<M, A> = A extends object
+  ? { [K in keyof A]: K extends 'include' | 'select' ? ToPluralSelection<M, A[K]> : A[K] }
+  : A
+type ToPluralSelection<M, S> = {
+  [K in keyof S as K extends SingularKeys<M> ? PluralKeyOf<M, K> & string : K]: K extends SingularKeys<M>
+    ? ToPluralArgs<RelatedModelOf<M, K>, S[K]>
+    : [FieldModel<M, K>] extends [never] ? S[K] : ToPluralArgs<FieldModel<M, K>, S[K]>
+}
+
+/** Collapses the plural payloads of requested virtual relations into a single row or null, or merges their flattened fields. */
+type Collapse<M, S, P> = P extends null | undefined
+  ? P
+  : P extends (infer E)[]
+    ? Collapse<M, S, E>[]
+    : P extends object ? Simplify<CollapseEntity<M, S, P>> : P
+type CollapseEntity<M, S, P> = {
+  [K in keyof P as K extends PluralKeyOf<M, RequestedSingularKeys<M, S>> ? never : K]: K extends keyof S
+    ? [FieldModel<M, K>] extends [never] ? P[K] : Collapse<FieldModel<M, K>, SelectionOf<S[K]>, P[K]>
+    : P[K]
+} & {
+  [K in Exclude<RequestedSingularKeys<M, S>, FlattenedKeys<M, S>>]: PluralKeyOf<M, K> extends keyof P
+    ? Collapse<RelatedModelOf<M, K>, SelectionOf<S[K]>, ElementOf<P[PluralKeyOf<M, K>]>> | null
+    : never
+} & UnionToIntersection<{
+  [K in FlattenedKeys<M, S>]: PluralKeyOf<M, K> extends keyof P
+    ? FlattenedFields<FlattenOf<M, K, S[K]>, ElementOf<P[PluralKeyOf<M, K>]>>
+    : never
+}[FlattenedKeys<M, S>]>
+
+/** Include/select trees accepting virtual singular keys on the model and on every nested relation. */
+type VirtualSelection<M> = {
+  [K in SingularKeys<M>]?: boolean | ((RelationOf<M, K> extends infer R ? R extends { args: infer A } ? A : never : never)
+    & VirtualNestedArgs<RelatedModelOf<M, K>>)
+} & {
+  [K in keyof One2OneFieldModels[M & keyof One2OneFieldModels]]?: boolean | VirtualNestedArgs<FieldModel<M, K>>
+}
+type VirtualNestedArgs<M> = { include?: VirtualSelection<M>; select?: VirtualSelection<M> }
+
+/**
+ * Where inputs accepting filters on virtual singular relations, in AND/OR/NOT trees and relation filters as well
+ * (but not the unique where inputs of Prisma 4, which take no filters).
+ */
+type RelationFieldKeys<M> = keyof One2OneFieldModels[M & keyof One2OneFieldModels]
+type ListFieldKeys<M> = M extends keyof One2OneListFields ? One2OneListFields[M] : never
+type WhereInputOf<M> = M extends keyof One2OneWhereInputs ? One2OneWhereInputs[M] : never
+type VirtualWhereInput<M> = VirtualWhere<M, WhereInputOf<M>>
+type VirtualWhere<M, W> = W extends object
+  ? 'AND' extends keyof W ? VirtualWhereFilters<M, W> : W
+  : W
+type VirtualWhereFilters<M, W> = Omit<W, 'AND' | 'OR' | 'NOT' | RelationFieldKeys<M>> & {
+  AND?: VirtualWhereInput<M> | VirtualWhereInput<M>[]
+  OR?: VirtualWhereInput<M>[]
+  NOT?: VirtualWhereInput<M> | VirtualWhereInput<M>[]
+} & {
+  [K in SingularKeys<M>]?: VirtualToOneFilter<VirtualWhereInput<RelatedModelOf<M, K>>> | null
+} & {
+  [K in keyof W as K extends RelationFieldKeys<M> ? K : never]: K extends ListFieldKeys<M>
+    ? { every?: VirtualWhereInput<FieldModel<M, K>>; some?: VirtualWhereInput<FieldModel<M, K>>; none?: VirtualWhereInput<FieldModel<M, K>> }
+    : VirtualToOneFilter<VirtualWhereInput<FieldModel<M, K>>> | (null extends W[K] ? null : never)
+}
+type VirtualToOneFilter<W> = Prisma.XOR<{ is?: W | null; isNot?: W | null }, W>
+
+/** Create/update data accepting nested writes on virtual singular relations, typed from the plural relation's nested writes. */
+type Unlist<T> = T extends readonly (infer E)[] ? E : T
+type DataOf<T> = T extends { data: infer D } ? D : never
+type NestedCreateOf<P> = P extends { create?: infer C } ? Unlist<NonNullable<C>> : never
+type NestedUpdateOf<P> = P extends { update?: infer U } ? DataOf<Unlist<NonNullable<U>>> : never
+type VirtualData<M, D, Kind extends 'create' | 'update'> = D extends readonly unknown[]
+  ? D
+  : D extends object
+    ? Omit<D, RelationFieldKeys<M>> & {
+      [K in keyof D as K extends RelationFieldKeys<M> ? K : never]: VirtualRelationWrite<FieldModel<M, K>, D[K]>
+    } & {
+      [K in SingularKeys<M> as PluralKeyOf<M, K> extends keyof D ? K : never]?: VirtualSingularWrite<
+        RelatedModelOf<M, K>, NonNullable<D[PluralKeyOf<M, K> & keyof D]>, Kind
+      >
+    }
+    : D
+type VirtualSingularWrite<R, P, Kind> = {
+  create?: VirtualData<R, NestedCreateOf<P>, 'create'>
+  connectOrCreate?: { where: WhereInputOf<R>; create: VirtualData<R, NestedCreateOf<P>, 'create'> }
+  connect?: WhereInputOf<R>
+} & (Kind extends 'update' ? {
+  upsert?: { where: WhereInputOf<R>; create: VirtualData<R, NestedCreateOf<P>, 'create'>; update: VirtualData<R, NestedUpdateOf<P>, 'update'> }
+  update?: { where?: WhereInputOf<R>; data: VirtualData<R, NestedUpdateOf<P>, 'update'> } | VirtualData<R, NestedUpdateOf<P>, 'update'>
+  delete?: boolean | WhereInputOf<R>
+  disconnect?: boolean | WhereInputOf<R>
+} : {})
+type VirtualRelationWrite<R, P> = P extends object
+  ? {
+    [Op in keyof P]: Op extends 'create' ? VirtualCreates<R, P[Op]>
+      : Op extends 'connectOrCreate' ? VirtualConnectOrCreates<R, P[Op]>
+      : Op extends 'upsert' ? VirtualUpserts<R, P[Op]>
+      : Op extends 'update' ? VirtualUpdates<R, P[Op]>
+      : P[Op]
+  }
+  : P
+type VirtualCreates<R, T> = T extends readonly (infer E)[] ? VirtualData<R, E, 'create'>[] : VirtualData<R, T, 'create'>
+type VirtualConnectOrCreates<R, T> = T extends readonly (infer E)[] ? VirtualConnectOrCreate<R, E>[] : VirtualConnectOrCreate<R, T>
+type VirtualConnectOrCreate<R, T> = T extends { create: infer C } ? Omit<T, 'create'> & { create: VirtualData<R, C, 'create'> } : T
+type VirtualUpserts<R, T> = T extends readonly (infer E)[] ? VirtualUpsert<R, E>[] : VirtualUpsert<R, T>
+type VirtualUpsert<R, T> = T extends { create: infer C; update: infer U }
+  ? Omit<T, 'create' | 'update'> & { create: VirtualData<R, C, 'create'>; update: VirtualData<R, U, 'update'> }
+  : T
+type VirtualUpdates<R, T> = T extends readonly (infer E)[] ? VirtualUpdate<R, E>[] : VirtualUpdate<R, T>
+// Updates of to-one relations also accept the data itself
+type VirtualUpdate<R, T> = T extends { data: infer D } ? Omit<T, 'data'> & { data: VirtualData<R, D, 'update'> } : VirtualData<R, T, 'update'>
+
+/** Args of an operation, accepting virtual singular keys in include/select, where and the written data. */
+type WriteDataKind<Op, K> = Op extends 'upsert' ? K : K extends 'data' ? Op & ('create' | 'update') : never
+type One2OneArgs<M, A, Op> = Omit<A, 'where' | 'data' | 'create' | 'update'> & VirtualNestedArgs<M> & {
+  [K in keyof A as K extends 'where' ? K : never]: VirtualWhere<M, A[K]>
+} & {
+  [K in keyof A as K extends 'data' | 'create' | 'update' ? K : never]: [WriteDataKind<Op, K>] extends [never]
+    ? A[K]
+    : VirtualData<M, A[K], WriteDataKind<Op, K> & ('create' | 'update')>
+}
+
+type DelegateTypes<D> = D extends { [K: symbol]: { types: infer T } } ? T : never
+type OperationArgs<D, Op> = DelegateTypes<D> extends { operations: infer O }
+  ? Op extends keyof O ? O[Op] extends { args: infer A } ? A : never : never
+  : never
+type One2OneResult<M, D, T, Op extends One2OneOptionalArgsOperation | One2OneRequiredArgsOperation> =
+  Collapse<M, SelectionOf<T>, Prisma.Result<D, ToPluralArgs<M, T>, Op>>
+
+/** Model delegate accepting virtual singular keys and returning collapsed payloads. */
+export type One2OneDelegate<M, D> = Omit<D, One2OneOptionalArgsOperation | One2OneRequiredArgsOperation> & {
+  [Op in One2OneOptionalArgsOperation & keyof D]: <T extends One2OneArgs<M, OperationArgs<D, Op>, Op>>(
+    args?: T
+  ) => Prisma.PrismaPromise<One2OneResult<M, D, T, Op>>
+} & {
+  [Op in One2OneRequiredArgsOperation & keyof D]: <T extends One2OneArgs<M, OperationArgs<D, Op>, Op>>(
+    args: T
+  ) => Prisma.PrismaPromise<One2OneResult<M, D, T, Op>>
+}
+
+/** Prisma client whose model delegates understand virtual singular relations. */
+export type One2OneClient<C> = Omit<C, keyof One2OneDelegateModels> & {
+  [K in keyof One2OneDelegateModels & keyof C]: One2OneDelegate<One2OneDelegateModels[K], C[K]>
+}
+${registry}`;
+}
+
+/**
+ * Lists the selection operations a generated client declares on its model delegates.
+ * @param {string} clientTypes - Content of the generated client type definitions
+ * @returns {string[]} The declared operations
+ */
+export function detectDelegateOperations(clientTypes) {
+    return SELECTION_OPERATIONS.filter(operation => new RegExp(`\\b${operation}<T\\b`).test(clientTypes));
+}
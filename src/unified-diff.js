@@ -0,0 +1,135 @@
+/**
+ * Lines of context around each change, as in `diff -u`.
+ */
+const CONTEXT_LINES = 3;
+
+/**
+ * Computes a shortest edit script between two lists of lines (Myers' algorithm).
+ * The common prefix and suffix are skipped first, since patches only touch a few places.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {{ type: ' ' | '-' | '+'; line: string }[]} The edit script
+ */
+function diffLines(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const oldLines = a.slice(prefix, a.length - suffix);
+    const newLines = b.slice(prefix, b.length - suffix);
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    // Furthest x reached on each diagonal k = x - y, one snapshot per edit distance d
+    const trace = [];
+    let v = new Map([[1, 0]]);
+
+    outer:
+    for (let d = 0; d <= n + m; d++) {
+        const next = new Map();
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? v.get(k + 1) : v.get(k - 1) + 1;
+            let y = x - k;
+            while (x < n && y < m && oldLines[x] === newLines[y]) {
+                x++;
+                y++;
+            }
+            next.set(k, x);
+            if (x >= n && y >= m) {
+                trace.push(next);
+                break outer;
+            }
+        }
+        trace.push(next);
+        v = next;
+    }
+
+    // Walk the snapshots back from the end to recover the edits
+    const edits = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d - 1];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && previous.get(k - 1) < previous.get(k + 1)) ? k + 1 : k - 1;
+        const previousX = previous.get(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            edits.push({ type: ' ', line: oldLines[--x] });
+            y--;
+        }
+        if (x === previousX) {
+            edits.push({ type: '+', line: newLines[--y] });
+        } else {
+            edits.push({ type: '-', line: oldLines[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        edits.push({ type: ' ', line: oldLines[--x] });
+        y--;
+    }
+    edits.reverse();
+
+    return [
+        ...a.slice(0, prefix).map(line => ({ type: ' ', line })),
+        ...edits,
+        ...a.slice(a.length - suffix).map(line => ({ type: ' ', line }))
+    ];
+}
+
+/**
+ * Renders the changes between two versions of a file as a unified diff.
+ * @param {string} filePath - Path shown in the diff header
+ * @param {string | null} oldText - Current content, or null for a new file
+ * @param {string} newText - New content
+ * @returns {string} The diff, empty when both versions are equal
+ */
+export function createUnifiedDiff(filePath, oldText, newText) {
+    if (oldText === newText) return '';
+
+    // Lines keep their terminator, so that a missing final newline shows as a change
+    const split = text => (text ? text.match(/[^\n]*\n|[^\n]+$/g) : []);
+    const edits = diffLines(split(oldText), split(newText));
+    const changed = edits.map((edit, index) => edit.type !== ' ' ? index : -1).filter(index => index !== -1);
+
+    // Group changes whose contexts overlap into hunks
+    const hunks = [];
+    for (const index of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= CONTEXT_LINES * 2 + 1) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+    }
+
+    const lines = [`--- ${oldText === null ? '/dev/null' : `a/${filePath}`}`, `+++ b/${filePath}`];
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.start - CONTEXT_LINES);
+        const to = Math.min(edits.length, hunk.end + CONTEXT_LINES + 1);
+
+        // Line numbers of the hunk start in both versions
+        let oldLine = 1;
+        let newLine = 1;
+        for (const edit of edits.slice(0, from)) {
+            if (edit.type !== '+') oldLine++;
+            if (edit.type !== '-') newLine++;
+        }
+
+        const hunkEdits = edits.slice(from, to);
+        const oldCount = hunkEdits.filter(edit => edit.type !== '+').length;
+        const newCount = hunkEdits.filter(edit => edit.type !== '-').length;
+
+        lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        for (const edit of hunkEdits) {
+            lines.push(`${edit.type}${edit.line.replace(/\n$/, '')}`);
+            if (!edit.line.endsWith('\n')) lines.push('\\ No newline at end of file');
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
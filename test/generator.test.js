@@ -0,0 +1,47 @@
+/**
+ * Checks of the generator config read from the `generator one2one` block.
+ *
+ *   npm test
+ */
+import test from 'node:test';
+import assert from 'assert';
+import { readGeneratorOptions } from '../src/generator.js';
+
+/**
+ * Builds the options Prisma sends with a `generate` request.
+ * @param {Record<string, string | string[]>} config - Config of the one2one generator block
+ * @returns {any} The generator options
+ */
+const generateOptions = config => ({
+    generator: { name: 'one2one', config: { relationModels: ['Lang'], ...config } },
+    otherGenerators: [{ name: 'client', provider: { value: 'prisma-client-js' }, output: { value: '/app/generated/prisma' } }],
+    datamodel: 'generator client {\n  provider = "prisma-client-js"\n}\n\ngenerator one2one {\n  provider = "prisma-one2one"\n}\n',
+    schemaPath: '/app/prisma/schema.prisma',
+    dmmf: { datamodel: { models: [] } }
+});
+
+test('object options are read from JSON strings', () => {
+    const { relationModels, clientDir, patchOptions } = readGeneratorOptions(generateOptions({
+        mode: 'augment',
+        relations: '{"Brand": {"brandLang": false}}',
+        managedFields: '{"*": {"onCreate": ["createdAt"]}}',
+        flatten: '{"Brand": {"brandLang": ["metaTitle"]}}'
+    }));
+
+    assert.deepStrictEqual(relationModels, ['Lang']);
+    assert.strictEqual(clientDir, '/app/generated/prisma');
+    assert.deepStrictEqual(patchOptions, {
+        datamodel: { models: [] },
+        output: 'augment',
+        relations: { Brand: { brandLang: false } },
+        managedFields: { '*': { onCreate: ['createdAt'] } },
+        flatten: { Brand: { brandLang: ['metaTitle'] } }
+    });
+});
+
+test('invalid JSON options fail the generation', () => {
+    assert.throws(
+        () => readGeneratorOptions(generateOptions({ managedFields: '{ "*": ' })),
+        /`managedFields` must be a JSON string/
+    );
+});
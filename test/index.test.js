@@ -0,0 +1,268 @@
+/**
+ * Checks of the d.ts patcher, the relation manifest and the schema linter against small hand-written excerpts of generated Prisma clients.
+ *
+ *   npm test
+ */
+import test from 'node:test';
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import patchPrismaClient, { planPrismaClient, lintPrismaSchema } from '../src/index.js';
+import { readPrismaSchema, parsePrismaSchema } from '../src/schema-parser.js';
+import applyRuntimeRelationPatch, { VirtualRelationManifestError, VirtualRelationDiagnosticsError } from '../src/runtime-relation-patch.js';
+
+const schema = `
+model Brand {
+  id         Int         @id @default(autoincrement())
+  name       String
+  createdAt  DateTime
+  brandLangs BrandLang[]
+}
+
+model BrandLang {
+  id        Int    @id @default(autoincrement())
+  brandId   Int
+  langId    Int
+  metaTitle String
+  brand     Brand  @relation(fields: [brandId], references: [id])
+  lang      Lang   @relation(fields: [langId], references: [id])
+
+  @@unique([brandId, langId])
+}
+
+model Lang {
+  id         Int         @id @default(autoincrement())
+  brandLangs BrandLang[]
+}
+`;
+
+// Excerpt of a Prisma 5/6 index.d.ts: relations are typed from `$BrandPayload['objects']`
+const prisma5Dts = `export type Brand = $Result.DefaultSelection<Prisma.$BrandPayload>
+
+export namespace Prisma {
+  export type $BrandPayload<ExtArgs extends $Extensions.InternalArgs = $Extensions.DefaultArgs> = {
+    name: "Brand"
+    objects: {
+      brandLangs: Prisma.$BrandLangPayload<ExtArgs>[]
+    }
+    scalars: $Extensions.GetPayloadResult<{
+      id: number
+      name: string
+    }, ExtArgs["result"]["brand"]>
+    composites: {}
+  }
+
+  export type $BrandLangPayload<ExtArgs extends $Extensions.InternalArgs = $Extensions.DefaultArgs> = {
+    name: "BrandLang"
+    objects: {}
+    scalars: $Extensions.GetPayloadResult<{
+      id: number
+      metaTitle: string
+    }, ExtArgs["result"]["brandLang"]>
+    composites: {}
+  }
+
+  /**
+   * Brand include, see {@link BrandSelect}
+   */
+  export type BrandInclude<ExtArgs extends $Extensions.InternalArgs = $Extensions.DefaultArgs> = {
+    brandLangs?: boolean | Brand$brandLangsArgs<ExtArgs>
+    _count?: boolean | BrandCountOutputTypeDefaultArgs<ExtArgs>
+  }
+
+  export type BrandSelect<ExtArgs extends $Extensions.InternalArgs = $Extensions.DefaultArgs> = $Extensions.GetSelect<{
+    id?: boolean
+    name?: boolean
+    brandLangs?: boolean | Brand$brandLangsArgs<ExtArgs>
+  }, ExtArgs["result"]["brand"]>
+
+  export type BrandCreateInput = {
+    name: string
+    createdAt: Date | string
+  }
+}
+`;
+
+/**
+ * Writes the schema and a client directory holding `dts` as index.d.ts.
+ * @param {import('node:test').TestContext} t - Test context, removing the directory when done
+ * @param {string} dts - Content of index.d.ts
+ * @returns {{ schemaPath: string; clientDir: string; readDts: () => string }}
+ */
+function setupClient(t, dts) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-one2one-client-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+
+    const schemaPath = path.join(dir, 'schema.prisma');
+    const clientDir = path.join(dir, 'client');
+    fs.mkdirSync(clientDir);
+    fs.writeFileSync(schemaPath, schema);
+    fs.writeFileSync(path.join(clientDir, 'index.d.ts'), dts);
+
+    return { schemaPath, clientDir, readDts: () => fs.readFileSync(path.join(clientDir, 'index.d.ts'), 'utf8') };
+}
+
+test('virtual relations are added to the Prisma 5/6 payload objects, include and select types', t => {
+    const { schemaPath, clientDir, readDts } = setupClient(t, prisma5Dts);
+
+    patchPrismaClient(['Lang'], schemaPath, clientDir);
+    const dts = readDts();
+
+    assert.match(dts, /objects: \{\n {6}brandLangs: Prisma\.\$BrandLangPayload<ExtArgs>\[\]\n {6}brandLang: Prisma\.\$BrandLangPayload<ExtArgs> \| null \/\/ prisma-one2one\n {4}\}/);
+    assert.match(dts, /_count\?: boolean \| BrandCountOutputTypeDefaultArgs<ExtArgs>\n {4}brandLang\?: boolean \| Brand\$brandLangsArgs<ExtArgs>[^\n]* \/\/ prisma-one2one\n {2}\}/);
+    assert.match(dts, /brandLangs\?: boolean \| Brand\$brandLangsArgs<ExtArgs>\n {4}brandLang\?: boolean \| Brand\$brandLangsArgs<ExtArgs>[^\n]* \/\/ prisma-one2one\n {2}\}, ExtArgs\["result"\]\["brand"\]>/);
+    // Scalars are left alone, braces in doc comments don't end the include type
+    assert.match(dts, /scalars: \$Extensions\.GetPayloadResult<\{\n {6}id: number\n {6}name: string\n {4}\}/);
+    assert.strictEqual(dts.match(/brandLang[?]?:/g).length, 3);
+});
+
+test('patching an already patched client leaves it unchanged', t => {
+    const { schemaPath, clientDir, readDts } = setupClient(t, prisma5Dts);
+
+    patchPrismaClient(['Lang'], schemaPath, clientDir);
+    const patched = readDts();
+    patchPrismaClient(['Lang'], schemaPath, clientDir);
+
+    assert.strictEqual(readDts(), patched);
+});
+
+test('patched files are stamped and a previous patch is replaced, not patched again', t => {
+    const { schemaPath, clientDir, readDts } = setupClient(t, prisma5Dts);
+    t.mock.method(console, 'warn', () => {});
+    const options = { managedFields: { '*': { onCreate: ['createdAt'] } } };
+
+    patchPrismaClient(['Lang'], schemaPath, clientDir, options);
+    const patched = readDts();
+    assert.match(patched, /^\/\/ prisma-one2one \{"version":"[^"]+","relationModels":\["Lang"\],"schemaHash":"[0-9a-f]{16}"\}\n/);
+    assert.match(patched, /createdAt\?: Date \| string \/\/ prisma-one2one: optional\n/);
+
+    // Another relation model list replaces the patch, and is reported
+    const [file] = planPrismaClient(['Shop'], schemaPath, clientDir, options, () => {});
+    assert.strictEqual(file.conflict, 'patched for the relation models Lang');
+    assert.doesNotMatch(file.content, /brandLang[?]?:|One2OneVirtual/);
+
+    patchPrismaClient(['Shop'], schemaPath, clientDir, options);
+    patchPrismaClient(['Lang'], schemaPath, clientDir, options);
+    assert.strictEqual(readDts(), patched);
+
+    // The type augmentation restores the generated file
+    const augmentFiles = planPrismaClient(['Lang'], schemaPath, clientDir, { ...options, output: 'augment' }, () => {});
+    assert.strictEqual(augmentFiles.find(f => f.path.endsWith('index.d.ts')).content, prisma5Dts);
+});
+
+test('a flatten config is rejected unless the types are generated as an augmentation', t => {
+    const { schemaPath, clientDir } = setupClient(t, prisma5Dts);
+    const flatten = { Brand: { brandLang: { fields: ['metaTitle'], prefix: 'lang_' } } };
+
+    assert.throws(
+        () => planPrismaClient(['Lang'], schemaPath, clientDir, { flatten }, () => {}),
+        error => error instanceof VirtualRelationDiagnosticsError && error.diagnostics.map(d => `${d.code} ${d.model}.${d.singularKey}`).join() === 'FLATTEN_UNTYPED Brand.brandLang'
+    );
+    assert.doesNotThrow(() => planPrismaClient(['Lang'], schemaPath, clientDir, { flatten, output: 'augment' }, () => {}));
+});
+
+test('managed fields other than DateTime fields are rejected', t => {
+    const { schemaPath, clientDir } = setupClient(t, prisma5Dts);
+
+    assert.throws(
+        () => planPrismaClient(['Lang'], schemaPath, clientDir, { managedFields: { '*': { onCreate: ['createdAt', 'name'] } } }, () => {}),
+        /Managed field Brand\.name must be a DateTime field/
+    );
+    assert.throws(
+        () => applyRuntimeRelationPatch(['Lang'], { Prisma: {} }, { datamodel: readPrismaSchema(schemaPath), managedFields: { BrandLang: { onUpdate: ['langId'] } } }),
+        /Managed field BrandLang\.langId must be a DateTime field to be filled with the current date, not Int/
+    );
+});
+
+test('the relation manifest written next to the client is checked against the runtime datamodel', t => {
+    const { schemaPath, clientDir } = setupClient(t, prisma5Dts);
+    const manifestFile = planPrismaClient(['Lang'], schemaPath, clientDir, {}, () => {})
+        .find(file => file.path.endsWith('one2one.json'));
+    const manifest = JSON.parse(manifestFile.content);
+    const patchClient = (relationModels, datamodel) =>
+        applyRuntimeRelationPatch(relationModels, { Prisma: {} }, { datamodel, manifest })({ $extends: () => ({}) });
+
+    assert.deepStrictEqual(manifest.relations.map(r => `${r.model}.${r.singularKey}`), ['Brand.brandLang', 'Lang.brandLang']);
+    assert.doesNotThrow(() => patchClient(['Lang'], readPrismaSchema(schemaPath)));
+
+    // The unique constraint the types were generated for is gone
+    const changedDatamodel = readPrismaSchema(schemaPath);
+    Object.assign(changedDatamodel.models.find(model => model.name === 'BrandLang'), { uniqueFields: [], uniqueIndexes: [] });
+    assert.throws(
+        () => patchClient(['Lang'], changedDatamodel),
+        error => error instanceof VirtualRelationManifestError && error.mismatches.some(mismatch => mismatch.startsWith('Brand.brandLang: unique'))
+    );
+
+    // The manifest is read by the caller, the runtime patch doesn't touch the file system
+    assert.throws(
+        () => applyRuntimeRelationPatch(['Lang'], { Prisma: {} }, { datamodel: readPrismaSchema(schemaPath), manifest: manifestFile.path }),
+        TypeError
+    );
+
+    // The runtime patch is given other relation models than the types
+    assert.throws(
+        () => patchClient(['Lang', 'Shop'], readPrismaSchema(schemaPath)),
+        error => error instanceof VirtualRelationManifestError && /relation models Lang, Shop differ/.test(error.mismatches[0])
+    );
+});
+
+test('lint reports the fields a where must set, and relations no unique constraint makes one-to-one', () => {
+    const datamodel = parsePrismaSchema(`${schema}
+model Product {
+  id           Int           @id @default(autoincrement())
+  productLangs ProductLang[]
+}
+
+model ProductLang {
+  id        Int     @id @default(autoincrement())
+  productId Int
+  langId    Int
+  product   Product @relation(fields: [productId], references: [id])
+  lang      Lang    @relation(fields: [langId], references: [id])
+
+  @@index([productId, langId])
+}
+`);
+    const lints = lintPrismaSchema(['Lang'], 'schema.prisma', { datamodel });
+    const brandLang = lints.find(lint => lint.model === 'Brand' && lint.singularKey === 'brandLang');
+    const productLang = lints.find(lint => lint.model === 'Product' && lint.singularKey === 'productLang');
+
+    assert.deepStrictEqual(brandLang.whereFields, ['langId']);
+    assert.strictEqual(brandLang.warning, null);
+    assert.match(productLang.warning, /no unique constraint of ProductLang includes productId/);
+    assert.match(productLang.warning, /@@unique/);
+
+    // Flattened fields overwriting a field of the parent
+    assert.throws(
+        () => lintPrismaSchema(['Lang'], 'schema.prisma', { datamodel, flatten: { Brand: { brandLang: ['id'] } } }),
+        /\[FLATTEN_COLLISION\] Brand\.brandLangs/
+    );
+});
+
+test('nested writes on a virtual relation accept the unchecked inputs and boolean disconnects', t => {
+    const { schemaPath, clientDir, readDts } = setupClient(t, `export namespace Prisma {
+  export type BrandUpdateInput = {
+    name?: string
+    brandLangs?: BrandLangUpdateManyWithoutBrandNestedInput
+  }
+
+  export type BrandLangUpdateWithoutBrandInput = {
+    metaTitle?: string
+  }
+
+  export type BrandLangUncheckedUpdateWithoutBrandInput = {
+    langId?: number
+    metaTitle?: string
+  }
+}
+`);
+
+    patchPrismaClient(['Lang'], schemaPath, clientDir);
+    const dts = readDts();
+
+    // Only the update inputs have an unchecked variant in this excerpt
+    assert.match(dts, /brandLang\?: One2OneVirtualUpdateNestedInput<BrandLangCreateWithoutBrandInput, XOR<BrandLangUpdateWithoutBrandInput, BrandLangUncheckedUpdateWithoutBrandInput>, BrandLangWhereInput> \/\/ prisma-one2one\n/);
+    assert.match(dts, /disconnect\?: boolean \| TWhere/);
+});
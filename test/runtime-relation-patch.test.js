@@ -0,0 +1,321 @@
+/**
+ * Checks of the runtime relation patch against a mocked client recording the queries it receives
+ * and returning prebuilt rows.
+ *
+ *   npm test
+ */
+import test from 'node:test';
+import assert from 'assert';
+import applyRuntimeRelationPatch, { VirtualRelationWhereError, VirtualRelationDiagnosticsError, withRelationContext } from '../src/runtime-relation-patch.js';
+
+const scalar = (name, type = 'Int', extra = {}) => ({ name, kind: 'scalar', type, isList: false, isRequired: true, isId: false, isUnique: false, ...extra });
+const id = () => scalar('id', 'Int', { isId: true });
+const list = (name, type, relationName) => ({ name, kind: 'object', type, isList: true, isRequired: true, relationName, relationFromFields: [], relationToFields: [] });
+const object = (name, type, relationName, fromField) => ({ name, kind: 'object', type, isList: false, isRequired: true, relationName, relationFromFields: [fromField], relationToFields: ['id'] });
+const model = (name, fields, uniqueFields = []) => ({
+    name,
+    dbName: null,
+    fields,
+    primaryKey: null,
+    uniqueFields,
+    uniqueIndexes: uniqueFields.map(fields => ({ name: null, fields })),
+    indexes: []
+});
+
+// The DMMF datamodel of:
+//   Brand 1-n BrandLang n-1 Lang, with @@unique([brandId, langId])
+//   Brand 1-n Product 1-n ProductLang n-1 Lang, with no unique constraint
+const datamodel = {
+    enums: [],
+    models: [
+        model('Brand', [id(), scalar('name', 'String'), list('brandLangs', 'BrandLang', 'BrandToBrandLang'), list('products', 'Product', 'BrandToProduct')]),
+        model('BrandLang', [
+            id(), scalar('brandId'), scalar('langId'), scalar('metaTitle', 'String'),
+            object('brand', 'Brand', 'BrandToBrandLang', 'brandId'), object('lang', 'Lang', 'BrandLangToLang', 'langId')
+        ], [['brandId', 'langId']]),
+        model('Product', [id(), scalar('brandId'), object('brand', 'Brand', 'BrandToProduct', 'brandId'), list('productLangs', 'ProductLang', 'ProductToProductLang')]),
+        model('ProductLang', [
+            id(), scalar('productId'), scalar('langId'), scalar('name', 'String'),
+            object('product', 'Product', 'ProductToProductLang', 'productId'), object('lang', 'Lang', 'LangToProductLang', 'langId')
+        ]),
+        model('Lang', [id(), list('brandLangs', 'BrandLang', 'BrandLangToLang'), list('productLangs', 'ProductLang', 'LangToProductLang')])
+    ]
+};
+
+/**
+ * Patches a mocked client whose queries return the rows built by `reply`.
+ * @param {(args: any) => any} reply - Rows of a query, from its arguments
+ * @param {object} [options] - Runtime patch options
+ * @returns {{ queries: any[]; query: (model: string, operation: string, args: any) => Promise<any> }}
+ */
+function createClient(reply, options = {}) {
+    const queries = [];
+
+    return applyRuntimeRelationPatch(['Lang'], { Prisma: { dmmf: { datamodel } } }, options)({
+        $extends(extension) {
+            const handle = extension.query.$allModels.$allOperations;
+            return {
+                queries,
+                query: (model, operation, args) => handle({
+                    model,
+                    operation,
+                    args,
+                    query: async queryArgs => {
+                        queries.push(queryArgs);
+                        return reply(queryArgs);
+                    }
+                })
+            };
+        }
+    });
+}
+
+test('virtual relations are rewritten inside select trees', async () => {
+    const client = createClient(() => [
+        { name: 'A', brandLangs: [{ metaTitle: 'EN' }], products: [{ id: 4, productLangs: [] }] }
+    ]);
+    const args = {
+        select: {
+            name: true,
+            brandLang: { where: { langId: 1 }, select: { metaTitle: true } },
+            products: { select: { id: true, productLang: true } }
+        }
+    };
+
+    const brands = await client.query('Brand', 'findMany', args);
+    assert.deepStrictEqual(client.queries[0].select, {
+        name: true,
+        brandLangs: { where: { langId: 1 }, select: { metaTitle: true }, take: 1 },
+        products: { select: { id: true, productLangs: { take: 1 } } }
+    });
+    assert.deepStrictEqual(brands, [{ name: 'A', brandLang: { metaTitle: 'EN' }, products: [{ id: 4, productLang: null }] }]);
+    // The caller's arguments are left untouched
+    assert.ok('brandLang' in args.select);
+});
+
+test('a singular key set to false is dropped from the selection', async () => {
+    const client = createClient(() => ({ id: 1 }));
+
+    await client.query('Brand', 'findUnique', { where: { id: 1 }, select: { id: true, brandLang: false } });
+    assert.deepStrictEqual(client.queries[0].select, { id: true });
+});
+
+test('where filters on a virtual relation become list filters on the plural relation', async () => {
+    const client = createClient(() => []);
+
+    await client.query('Brand', 'findMany', { where: { brandLang: { is: { langId: 1 } } } });
+    await client.query('Brand', 'count', { where: { brandLang: { isNot: null }, brandLangs: { every: { langId: { gt: 0 } } } } });
+    await client.query('Brand', 'findMany', { where: { brandLang: null } });
+    await client.query('Brand', 'deleteMany', { where: { brandLang: { is: { langId: 1 }, isNot: { metaTitle: '' } } } });
+
+    assert.deepStrictEqual(client.queries.map(args => args.where), [
+        { brandLangs: { some: { langId: 1 } } },
+        { brandLangs: { every: { langId: { gt: 0 } } }, AND: [{ brandLangs: { some: {} } }] },
+        { brandLangs: { none: {} } },
+        { AND: [{ brandLangs: { some: { langId: 1 } } }, { brandLangs: { none: { metaTitle: '' } } }] }
+    ]);
+});
+
+test('where filters are rewritten inside AND/OR/NOT, relation filters and include wheres', async () => {
+    const client = createClient(() => []);
+
+    await client.query('Product', 'findMany', {
+        where: {
+            OR: [{ productLang: { is: { name: 'x' } } }, { NOT: { brand: { brandLang: { langId: 2 } } } }],
+            brand: { is: { brandLang: { is: { metaTitle: 'y' } } } }
+        },
+        include: { brand: { include: { products: { where: { productLang: { is: { langId: 3 } } } } } } }
+    });
+
+    assert.deepStrictEqual(client.queries[0], {
+        where: {
+            OR: [{ productLangs: { some: { name: 'x' } } }, { NOT: { brand: { brandLangs: { some: { langId: 2 } } } } }],
+            brand: { is: { brandLangs: { some: { metaTitle: 'y' } } } }
+        },
+        include: { brand: { include: { products: { where: { productLangs: { some: { langId: 3 } } } } } } }
+    });
+});
+
+test('nested writes on a virtual relation are completed into unique writes with the parent key', async () => {
+    const client = createClient(() => ({ id: 3 }));
+
+    await client.query('Brand', 'update', {
+        where: { id: 3 },
+        data: {
+            brandLang: {
+                upsert: { where: { langId: 1 }, create: { langId: 1, metaTitle: 'T' }, update: { metaTitle: 'T' } },
+                update: { where: { langId: 2 }, data: { metaTitle: 'U' } },
+                connect: { id: 9 }
+            },
+            products: { create: { productLang: { create: { langId: 1, name: 'P' } } } }
+        }
+    });
+
+    assert.deepStrictEqual(client.queries[0].data, {
+        brandLangs: {
+            upsert: {
+                where: { brandId_langId: { brandId: 3, langId: 1 } },
+                create: { langId: 1, metaTitle: 'T' },
+                update: { metaTitle: 'T' }
+            },
+            update: { where: { brandId_langId: { brandId: 3, langId: 2 } }, data: { metaTitle: 'U' } },
+            connect: { id: 9 }
+        },
+        products: { create: { productLangs: { create: { langId: 1, name: 'P' } } } }
+    });
+});
+
+test('nested writes on a virtual relation fail when no unique constraint can be resolved', async () => {
+    const client = createClient(() => ({ id: 3 }));
+
+    await assert.rejects(
+        client.query('Brand', 'update', { where: { id: 3 }, data: { brandLang: { delete: true } } }),
+        /Cannot resolve a unique BrandLang for Brand\.brandLang/
+    );
+    await assert.rejects(
+        client.query('Brand', 'create', { data: { brandLang: { create: { langId: 1 } }, brandLangs: { create: { langId: 2 } } } }),
+        /Cannot write Brand\.brandLang and Brand\.brandLangs in the same operation/
+    );
+    assert.strictEqual(client.queries.length, 0);
+});
+
+test('nested writes on a virtual relation take the fields their where leaves out from the relation context', async () => {
+    const client = createClient(() => ({ id: 3 }));
+    const data = { brandLang: { update: { metaTitle: 'U' }, disconnect: true } };
+
+    await withRelationContext({ langId: 2 }, () => client.query('Brand', 'update', { where: { id: 3 }, data }));
+    assert.deepStrictEqual(client.queries[0].data, {
+        brandLangs: {
+            update: { where: { brandId_langId: { brandId: 3, langId: 2 } }, data: { metaTitle: 'U' } },
+            disconnect: { brandId_langId: { brandId: 3, langId: 2 } }
+        }
+    });
+
+    // Wheres resolving a unique constraint on their own ignore the context
+    await withRelationContext({ langId: 2 }, () => client.query('Brand', 'update', { where: { id: 3 }, data: { brandLang: { connect: { id: 9 } } } }));
+    assert.deepStrictEqual(client.queries[1].data, { brandLangs: { connect: { id: 9 } } });
+
+    await assert.rejects(
+        client.query('Brand', 'update', { where: { id: 3 }, data }),
+        /Cannot resolve a unique BrandLang for Brand\.brandLang from \{\}.*withRelationContext/
+    );
+});
+
+const brandRows = () => [
+    { id: 1, name: 'A', brandLangs: [{ langId: 1, metaTitle: 'EN' }, { langId: 2, metaTitle: 'FR' }] },
+    { id: 2, name: 'B', brandLangs: [{ langId: 1, metaTitle: 'EN2' }] },
+    { id: 3, name: 'C', brandLangs: [] }
+];
+
+test('flattened relations are merged onto their parent', async () => {
+    const client = createClient(brandRows, { flatten: { Brand: { brandLang: ['metaTitle'] } } });
+
+    const brands = await client.query('Brand', 'findMany', {
+        include: { brandLang: { where: { langId: 1 }, flatten: { fields: ['metaTitle'], prefix: 'lang_', defaults: { metaTitle: '' } } } }
+    });
+    assert.deepStrictEqual(brands.map(brand => brand.lang_metaTitle), ['EN', 'EN2', '']);
+    assert.deepStrictEqual(client.queries[0].include.brandLangs, { where: { langId: 1 }, take: 1, select: { metaTitle: true } });
+
+    // Relations flattened by default
+    const [brand] = await client.query('Brand', 'findMany', { include: { brandLang: true } });
+    assert.deepStrictEqual(brand, { id: 1, name: 'A', metaTitle: 'EN' });
+});
+
+test('flattened fields overwriting a field of the parent are rejected', async () => {
+    assert.throws(
+        () => createClient(brandRows, { flatten: { Brand: { brandLang: ['id', 'metaTitle'] } } }),
+        error => error instanceof VirtualRelationDiagnosticsError && error.diagnostics.map(d => d.code).join() === 'FLATTEN_COLLISION'
+    );
+
+    const client = createClient(brandRows);
+    await assert.rejects(
+        client.query('Brand', 'findMany', { include: { brandLang: { flatten: { fields: ['metaTitle', 'id'] } } } }),
+        /\[FLATTEN_COLLISION\] Brand\.brandLangs: The flattened field "id" is already a field of Brand/
+    );
+    const [brand] = await client.query('Brand', 'findMany', { include: { brandLang: { flatten: { fields: ['langId'], prefix: 'lang_' } } } });
+    assert.deepStrictEqual(brand, { id: 1, name: 'A', lang_langId: 1 });
+});
+
+test('the relation context fills the columns an include where doesn\'t mention, at any depth of AND/OR/NOT', async () => {
+    const client = createClient(brandRows);
+
+    await withRelationContext({ langId: 2 }, async () => {
+        await client.query('Brand', 'findMany', { include: { brandLang: true } });
+        await client.query('Brand', 'findMany', { include: { brandLang: { where: { metaTitle: 'FR' } } } });
+        await client.query('Brand', 'findMany', { include: { brandLang: { where: { AND: [{ langId: 5 }] } } } });
+        await client.query('Brand', 'findMany', { include: { brandLang: { where: { OR: [{ metaTitle: 'A' }, { NOT: { langId: 1 } }] } } } });
+    });
+
+    assert.deepStrictEqual(client.queries.map(args => args.include.brandLangs.where), [
+        { langId: 2 },
+        { langId: 2, metaTitle: 'FR' },
+        { AND: [{ langId: 5 }] },
+        { OR: [{ metaTitle: 'A' }, { NOT: { langId: 1 } }] }
+    ]);
+});
+
+test('queries of the same include shape share a result plan, whatever their where', async () => {
+    const client = createClient(brandRows);
+    const titles = brands => brands.map(brand => brand.brandLang?.metaTitle ?? null);
+
+    assert.deepStrictEqual(titles(await client.query('Brand', 'findMany', { include: { brandLang: { where: { langId: 1 } } } })), ['EN', 'EN2', null]);
+    assert.deepStrictEqual(titles(await client.query('Brand', 'findMany', { include: { brandLang: { where: { langId: 2 } } } })), ['EN', 'EN2', null]);
+    assert.deepStrictEqual(client.queries.map(args => args.include.brandLangs.where), [{ langId: 1 }, { langId: 2 }]);
+
+    // Other shapes get their own plan
+    const [brand] = await client.query('Brand', 'findMany', { include: { brandLang: false, brandLangs: true } });
+    assert.strictEqual(brand.brandLangs.length, 2);
+    assert.ok(!('brandLang' in brand));
+    const [flattened] = await client.query('Brand', 'findMany', { include: { brandLang: { flatten: ['metaTitle'] } } });
+    assert.strictEqual(flattened.metaTitle, 'EN');
+});
+
+test('fallback rows are fetched in the same query and picked in order', async () => {
+    const client = createClient(brandRows);
+    const brands = await client.query('Brand', 'findMany', {
+        include: { brandLang: { where: { langId: 3 }, fallback: [{ langId: 2 }, { langId: 1 }] } }
+    });
+
+    assert.deepStrictEqual(brands.map(brand => brand.brandLang?.metaTitle ?? null), ['FR', 'EN2', null]);
+    assert.deepStrictEqual(client.queries[0].include.brandLangs, { where: { langId: { in: [3, 2, 1] } } });
+
+    // Several rows of a relation without unique constraint may match a priority: every candidate is fetched
+    const productClient = createClient(() => [{ id: 4, productLangs: [{ langId: 1, name: 'EN' }, { langId: 1, name: 'EN bis' }, { langId: 2, name: 'FR' }] }]);
+    const [product] = await productClient.query('Product', 'findMany', {
+        include: { productLang: { where: { langId: { equals: 2 } }, fallback: [{ langId: 1 }] } }
+    });
+    assert.strictEqual(product.productLang.name, 'FR');
+    assert.deepStrictEqual(productClient.queries[0].include.productLangs, { where: { langId: { in: [2, 1] } } });
+});
+
+test('strict mode rejects includes whose where misses a field of the unique constraint', async () => {
+    const client = createClient(() => ({ id: 1, brandLangs: [] }), { strict: true });
+
+    await assert.rejects(
+        client.query('Brand', 'findUnique', { where: { id: 1 }, include: { brandLang: true } }),
+        error => error instanceof VirtualRelationWhereError && error.missingFields.join() === 'langId'
+    );
+    await assert.rejects(
+        client.query('Brand', 'findUnique', { where: { id: 1 }, include: { brandLang: { where: { langId: { in: [1, 2] } } } } }),
+        VirtualRelationWhereError
+    );
+    assert.strictEqual(client.queries.length, 0);
+
+    await client.query('Brand', 'findUnique', { where: { id: 1 }, include: { brandLang: { where: { langId: 1 } } } });
+    await withRelationContext({ langId: 1 }, () => client.query('Brand', 'findUnique', { where: { id: 1 }, include: { brandLang: true } }));
+    assert.strictEqual(client.queries.length, 2);
+});
+
+test('a client whose runtime data model is pruned is rejected rather than patched without relations', () => {
+    // Shape of `_runtimeDataModel` in the edge and client engine runtimes: no isList, no uniqueIndexes
+    const models = Object.fromEntries(datamodel.models.map(({ name, fields }) => [
+        name,
+        { fields: fields.map(({ name, kind, type, relationName }) => ({ name, kind, type, relationName })) }
+    ]));
+    const patch = applyRuntimeRelationPatch(['Lang'], { Prisma: {} });
+
+    assert.throws(
+        () => patch({ _runtimeDataModel: { models }, $extends: () => ({}) }),
+        /runtime data model is pruned.*`datamodel` option/
+    );
+});
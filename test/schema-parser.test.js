@@ -0,0 +1,123 @@
+/**
+ * Checks of the schema parser building a `Prisma.dmmf.datamodel`-shaped model from schema files.
+ *
+ *   npm test
+ */
+import test from 'node:test';
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parsePrismaSchema, listSchemaFiles, readPrismaSchema } from '../src/schema-parser.js';
+
+test('comments are dropped, strings are kept and doc comments are attached', () => {
+    const { models } = parsePrismaSchema(`
+// model Commented { id Int @id }
+/// Brands of the catalog
+model Brand {
+  /// Shown on the brand page
+  id   Int    @id @default(autoincrement()) // trailing comment
+  url  String @default("https://example.com//path") // another { brace
+  name String @default("say \\"hi\\" // not a comment")
+}
+`);
+
+    assert.deepStrictEqual(models.map(m => m.name), ['Brand']);
+    const [brand] = models;
+    assert.strictEqual(brand.documentation, 'Brands of the catalog');
+    assert.deepStrictEqual(brand.fields.map(f => [f.name, f.type, f.hasDefaultValue]), [
+        ['id', 'Int', true],
+        ['url', 'String', true],
+        ['name', 'String', true]
+    ]);
+    assert.strictEqual(brand.fields[0].documentation, 'Shown on the brand page');
+    assert.strictEqual(brand.fields[1].documentation, undefined);
+});
+
+test('relations, unique constraints and attributes spanning several lines are parsed', () => {
+    const { models, enums } = parsePrismaSchema(`
+enum Status {
+  DRAFT
+  PUBLISHED
+}
+
+model BrandLang {
+  brandId Int
+  langId  Int
+  status  Status?
+  brand   Brand @relation(
+    fields: [brandId],
+    references: [id]
+  )
+  lang    Lang  @relation("BrandLanguage", fields: [langId], references: [id])
+
+  @@id([brandId, langId])
+  @@unique([langId, brandId], name: "byLang")
+  @@index([langId])
+  @@map("brand_langs")
+}
+
+model Brand {
+  id         Int         @id
+  brandLangs BrandLang[]
+}
+
+model Lang {
+  id         Int         @id
+  brandLangs BrandLang[] @relation("BrandLanguage")
+}
+`);
+
+    const brandLang = models.find(m => m.name === 'BrandLang');
+    const field = name => brandLang.fields.find(f => f.name === name);
+
+    assert.deepStrictEqual(enums.map(e => [e.name, e.values.map(v => v.name)]), [['Status', ['DRAFT', 'PUBLISHED']]]);
+    assert.deepStrictEqual([field('status').kind, field('status').isRequired], ['enum', false]);
+    assert.deepStrictEqual(field('brand'), {
+        name: 'brand',
+        kind: 'object',
+        isList: false,
+        isRequired: true,
+        isUnique: false,
+        isId: false,
+        isUpdatedAt: false,
+        hasDefaultValue: false,
+        type: 'Brand',
+        documentation: undefined,
+        relationName: 'BrandToBrandLang',
+        relationFromFields: ['brandId'],
+        relationToFields: ['id']
+    });
+    assert.strictEqual(field('lang').relationName, 'BrandLanguage');
+    assert.strictEqual(models.find(m => m.name === 'Lang').fields[1].relationName, 'BrandLanguage');
+    assert.deepStrictEqual(models.find(m => m.name === 'Brand').fields[1].relationFromFields, []);
+
+    assert.deepStrictEqual(brandLang.primaryKey, { name: null, fields: ['brandId', 'langId'] });
+    assert.deepStrictEqual(brandLang.uniqueIndexes, [{ name: 'byLang', fields: ['langId', 'brandId'] }]);
+    assert.deepStrictEqual(brandLang.uniqueFields, [['langId', 'brandId']]);
+    assert.deepStrictEqual(brandLang.indexes, [{ name: null, fields: ['langId'] }]);
+    assert.strictEqual(brandLang.dbName, 'brand_langs');
+});
+
+test('schema folders are read recursively, in a stable order, skipping other files', () => {
+    const schemaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-one2one-schema-'));
+    try {
+        fs.mkdirSync(path.join(schemaDir, 'models'));
+        fs.writeFileSync(path.join(schemaDir, 'schema.prisma'), 'datasource db {\n  provider = "postgresql"\n  url = env("DATABASE_URL")\n}\n');
+        fs.writeFileSync(path.join(schemaDir, 'models', 'lang.prisma'), 'model Lang {\n  id Int @id\n  brandLangs BrandLang[]\n}\n');
+        fs.writeFileSync(path.join(schemaDir, 'models', 'brand.prisma'), 'model BrandLang {\n  id Int @id\n  langId Int\n  lang Lang @relation(fields: [langId], references: [id])\n}\n');
+        fs.writeFileSync(path.join(schemaDir, 'models', 'notes.md'), 'model Ignored {\n  id Int @id\n}\n');
+
+        assert.deepStrictEqual(
+            listSchemaFiles(schemaDir).map(file => path.relative(schemaDir, file)),
+            [path.join('models', 'brand.prisma'), path.join('models', 'lang.prisma'), 'schema.prisma']
+        );
+
+        const { models } = readPrismaSchema(schemaDir);
+        assert.deepStrictEqual(models.map(m => m.name), ['BrandLang', 'Lang']);
+        // Relations across files resolve to object fields
+        assert.strictEqual(models[1].fields.find(f => f.name === 'brandLangs').kind, 'object');
+    } finally {
+        fs.rmSync(schemaDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,95 @@
+/**
+ * Checks of the unified diff printed by `prisma-one2one diff`.
+ *
+ *   npm test
+ */
+import test from 'node:test';
+import assert from 'assert';
+import { createUnifiedDiff } from '../src/unified-diff.js';
+
+const numberedLines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}\n`).join('');
+
+/**
+ * Applies a unified diff produced by createUnifiedDiff to the old text.
+ * @param {string} oldText - Old content
+ * @param {string} diff - The diff
+ * @returns {string} The new content
+ */
+function applyUnifiedDiff(oldText, diff) {
+    const oldLines = oldText.match(/[^\n]*\n|[^\n]+$/g) || [];
+    const newLines = [];
+    let oldIndex = 0;
+    let previous = null;
+
+    for (const line of diff.split('\n').slice(2, -1)) {
+        const hunk = /^@@ -(\d+),(\d+) /.exec(line);
+        if (hunk) {
+            const start = Number(hunk[2]) === 0 ? Number(hunk[1]) : Number(hunk[1]) - 1;
+            newLines.push(...oldLines.slice(oldIndex, start));
+            oldIndex = start;
+        } else if (line === '\\ No newline at end of file') {
+            if (previous !== null) previous.line = previous.line.replace(/\n$/, '');
+        } else {
+            previous = { type: line[0], line: `${line.slice(1)}\n` };
+            if (previous.type !== '-') newLines.push(previous);
+            if (previous.type !== '+') oldIndex++;
+        }
+    }
+
+    return newLines.map(entry => typeof entry === 'string' ? entry : entry.line).join('') + oldLines.slice(oldIndex).join('');
+}
+
+test('equal versions give an empty diff', () => {
+    assert.strictEqual(createUnifiedDiff('index.d.ts', 'a\n', 'a\n'), '');
+});
+
+test('changes are shown with three lines of context, in separate hunks when far apart', () => {
+    const oldText = numberedLines(20);
+    const newText = oldText.replace('line 3\n', 'line 3 changed\n').replace('line 18\n', '');
+
+    assert.strictEqual(createUnifiedDiff('client/index.d.ts', oldText, newText), [
+        '--- a/client/index.d.ts',
+        '+++ b/client/index.d.ts',
+        '@@ -1,6 +1,6 @@',
+        ' line 1',
+        ' line 2',
+        '-line 3',
+        '+line 3 changed',
+        ' line 4',
+        ' line 5',
+        ' line 6',
+        '@@ -15,6 +15,5 @@',
+        ' line 15',
+        ' line 16',
+        ' line 17',
+        '-line 18',
+        ' line 19',
+        ' line 20',
+        ''
+    ].join('\n'));
+});
+
+test('new files and missing final newlines are marked', () => {
+    assert.strictEqual(
+        createUnifiedDiff('one2one.d.ts', null, 'a\nb\n'),
+        '--- /dev/null\n+++ b/one2one.d.ts\n@@ -0,0 +1,2 @@\n+a\n+b\n'
+    );
+    assert.strictEqual(
+        createUnifiedDiff('index.d.ts', 'a\nb\n', 'a\nb'),
+        '--- a/index.d.ts\n+++ b/index.d.ts\n@@ -1,2 +1,2 @@\n a\n-b\n+b\n\\ No newline at end of file\n'
+    );
+});
+
+test('applying the diff to the old version gives the new version', () => {
+    const oldText = numberedLines(60);
+    const newText = oldText
+        .replace('line 1\n', '')
+        .replace('line 10\n', 'line 10\ninserted a\ninserted b\n')
+        .replace('line 14\n', 'line 14 changed\n')
+        .replace('line 40\nline 41\n', '')
+        .replace('line 60\n', 'line 60\nappended');
+
+    for (const [from, to] of [[oldText, newText], [newText, oldText], ['', newText], [oldText, '']]) {
+        assert.strictEqual(applyUnifiedDiff(from, createUnifiedDiff('index.d.ts', from, to)), to);
+    }
+});